@@ -0,0 +1,47 @@
+import { calculateCompositionScore } from '../utils/colorExtraction';
+import './AlgorithmComparison.css';
+
+export default function AlgorithmComparison({ comparison, selected, rule }) {
+  if (!comparison || comparison.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="algorithm-comparison card">
+      <span className="feature-label label">Palette Algorithms</span>
+
+      <div className="comparison-list">
+        {comparison.map((result) => {
+          const scoreData = calculateCompositionScore(result.colors, rule);
+
+          return (
+            <div
+              key={result.algorithm}
+              className={`comparison-item ${result.algorithm === selected ? 'selected' : ''}`}
+            >
+              <div className="comparison-header">
+                <span className="comparison-name">{result.name}</span>
+                <span className="comparison-score mono">
+                  {scoreData.score} · {scoreData.verdict}
+                </span>
+              </div>
+              <div className="comparison-bar">
+                {result.colors.map((color, idx) => (
+                  <div
+                    key={idx}
+                    className="comparison-segment"
+                    style={{
+                      width: `${color.percentage}%`,
+                      backgroundColor: color.hex,
+                    }}
+                    title={`${color.hex}: ${color.percentage.toFixed(1)}%`}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
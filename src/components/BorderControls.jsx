@@ -0,0 +1,29 @@
+import './BorderControls.css';
+
+export default function BorderControls({ borders, autoCrop, onAutoCropChange, disabled }) {
+  if (!borders) {
+    return null;
+  }
+
+  return (
+    <div className="border-controls">
+      <span className="border-label label">Borders</span>
+      <span className="border-summary">
+        {borders.detected
+          ? `${borders.type} detected · active image ${borders.aspectRatio.label}`
+          : `None detected · ${borders.aspectRatio.label}`}
+      </span>
+      {borders.detected && (
+        <label className="border-toggle">
+          <input
+            type="checkbox"
+            checked={autoCrop}
+            onChange={(e) => onAutoCropChange(e.target.checked)}
+            disabled={disabled}
+          />
+          <span>Crop before analysis</span>
+        </label>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import './BorderIndicator.css';
+
+export default function BorderIndicator({ borders, cropped }) {
+  if (!borders || !borders.detected) {
+    return null;
+  }
+
+  const { top, bottom, left, right, crop } = borders;
+  const bars = [
+    { id: 'top', x: 0, y: 0, width: 100, height: top * 100 },
+    { id: 'bottom', x: 0, y: (1 - bottom) * 100, width: 100, height: bottom * 100 },
+    { id: 'left', x: 0, y: top * 100, width: left * 100, height: crop.height * 100 },
+    { id: 'right', x: (1 - right) * 100, y: top * 100, width: right * 100, height: crop.height * 100 }
+  ].filter(bar => bar.width > 0 && bar.height > 0);
+
+  return (
+    <svg
+      className={`border-indicator ${cropped ? 'cropped' : ''}`}
+      viewBox="0 0 100 100"
+      preserveAspectRatio="none"
+    >
+      <defs>
+        <pattern id="border-hatch" width="4" height="4" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <line x1="0" y1="0" x2="0" y2="4" className="border-hatch-line" />
+        </pattern>
+      </defs>
+      {bars.map(bar => (
+        <rect
+          key={bar.id}
+          className="border-bar"
+          x={bar.x}
+          y={bar.y}
+          width={bar.width}
+          height={bar.height}
+        />
+      ))}
+      <rect
+        className="border-crop"
+        x={crop.x * 100}
+        y={crop.y * 100}
+        width={crop.width * 100}
+        height={crop.height * 100}
+      />
+    </svg>
+  );
+}
@@ -1,85 +1,333 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import ImageUpload from './ImageUpload';
 import ColorSwatch from './ColorSwatch';
 import SpectrumBar from './SpectrumBar';
 import ScoreDisplay from './ScoreDisplay';
 import ColorHarmony from './ColorHarmony';
+import SkinTone from './SkinTone';
+import Waveform from './Waveform';
+import RgbParade from './RgbParade';
+import Vectorscope from './Vectorscope';
 import ZoneSystem from './ZoneSystem';
+import ContrastAnalysis from './ContrastAnalysis';
 import VisualWeight from './VisualWeight';
 import StyleMatching from './StyleMatching';
-import { extractColors, calculateCompositionScore } from '../utils/colorExtraction';
-import { analyzeColorHarmony } from '../utils/colorHarmony';
-import { analyzeZoneSystem } from '../utils/zoneSystem';
-import { analyzeVisualWeight } from '../utils/visualWeight';
-import { rgbToHsl } from '../utils/colorUtils';
+import ExtractionSettings from './ExtractionSettings';
+import AlgorithmComparison from './AlgorithmComparison';
+import FrameOverlay from './FrameOverlay';
+import OverlayControls from './OverlayControls';
+import RegionSelector from './RegionSelector';
+import RegionControls from './RegionControls';
+import RegionComparison from './RegionComparison';
+import BorderIndicator from './BorderIndicator';
+import BorderControls from './BorderControls';
+import RuleSelector from './RuleSelector';
+import RuleRanking from './RuleRanking';
+import PaletteTools from './PaletteTools';
+import Eyedropper from './Eyedropper';
+import { useAnalysis } from '../hooks/useAnalysis';
+import { comparePaletteAlgorithms } from '../utils/analysisClient';
+import { formatSeed } from '../utils/random';
+import { EXTRACTION_PRESETS } from '../utils/colorExtraction';
+import {
+  COMPOSITION_RULES,
+  DEFAULT_RULE_ID,
+  describeRuleTargets
+} from '../utils/compositionRules';
+import {
+  OVERLAY_MODES,
+  renderPaletteOverlay,
+  renderZoneOverlay,
+  renderClippingOverlay
+} from '../utils/overlays';
+import { DEFAULT_CLIPPING_THRESHOLDS } from '../utils/clipping';
+import { isRegionUsable } from '../utils/regions';
+import { DEFAULT_TRANSFER_FUNCTION } from '../utils/zoneSystem';
+import { DEFAULT_WEIGHT_MODEL } from '../utils/visualWeight';
+import { scoreColorRoles } from '../utils/colorRoles';
+import { matchCinematographerStyle } from '../utils/cinematographerStyles';
+import { mergeColors, splitColor, deleteColor, pickColor } from '../utils/paletteEditing';
+import { refreshPaletteAnalysis } from '../utils/analysisPipeline';
 import './ColorCall.css';
 
 export default function ColorCall() {
   const [image, setImage] = useState(null);
-  const [colors, setColors] = useState([]);
-  const [scoreData, setScoreData] = useState(null);
-  const [harmonyData, setHarmonyData] = useState(null);
-  const [zoneData, setZoneData] = useState(null);
-  const [weightData, setWeightData] = useState(null);
-  const [analyzing, setAnalyzing] = useState(false);
-  const [error, setError] = useState(null);
-
-  const handleImageLoad = async (imageSrc) => {
+  const frameAnalysis = useAnalysis();
+  const regionAnalysis = useAnalysis();
+  const comparisonRun = useAnalysis(comparePaletteAlgorithms);
+  const [extractionOptions, setExtractionOptions] = useState(
+    () => ({ ...EXTRACTION_PRESETS.vibrant.options })
+  );
+  const [compareAlgorithms, setCompareAlgorithms] = useState(false);
+  const [overlayMode, setOverlayMode] = useState('off');
+  const [hoveredColorId, setHoveredColorId] = useState(null);
+  const [selectedZone, setSelectedZone] = useState(null);
+  const [clippingThresholds, setClippingThresholds] = useState(DEFAULT_CLIPPING_THRESHOLDS);
+  const [region, setRegion] = useState(null);
+  const [regionTool, setRegionTool] = useState('none');
+  const [autoCrop, setAutoCrop] = useState(true);
+  const [transferFunction, setTransferFunction] = useState(DEFAULT_TRANSFER_FUNCTION);
+  const [weightModel, setWeightModel] = useState(DEFAULT_WEIGHT_MODEL);
+  const [compositionRule, setCompositionRule] = useState(COMPOSITION_RULES[DEFAULT_RULE_ID]);
+  const [autoRule, setAutoRule] = useState(false);
+  const [roleOverride, setRoleOverride] = useState(null);
+  const [paletteTool, setPaletteTool] = useState('none');
+  const [mergeSourceId, setMergeSourceId] = useState(null);
+  const [paletteMessage, setPaletteMessage] = useState(null);
+  const [paletteHistory, setPaletteHistory] = useState(null);
+  const [comparisonPixels, setComparisonPixels] = useState(null);
+
+  const analysis = frameAnalysis.result;
+  const analyzing = frameAnalysis.running;
+  const progress = frameAnalysis.progress;
+  const error = frameAnalysis.error
+    ? 'Failed to analyze image. Please try another file.'
+    : null;
+
+  // Comparisons fetched on demand belong to the frame buffer they were run on,
+  // which palette edits keep
+  const algorithmComparison = analysis
+    ? analysis.algorithmComparison ||
+      (comparisonPixels === analysis.pixels ? comparisonRun.result : null)
+    : null;
+
+  const startAnalysis = (imageSrc, pipelineOptions) => {
     setImage(imageSrc);
-    setAnalyzing(true);
-    setError(null);
+    frameAnalysis.run(imageSrc, pipelineOptions);
+  };
 
-    try {
-      // Run all analyses in parallel
-      const [extractedColors, zones, weight] = await Promise.all([
-        extractColors(imageSrc),
-        analyzeZoneSystem(imageSrc),
-        analyzeVisualWeight(imageSrc)
-      ]);
-
-      // Add HSL data to colors for harmony and style matching
-      const colorsWithHsl = extractedColors.map(c => ({
-        ...c,
-        hsl: rgbToHsl(c.rgb)
-      }));
-
-      setColors(colorsWithHsl);
-      setZoneData(zones);
-      setWeightData(weight);
-
-      // Calculate composition score
-      const score = calculateCompositionScore(extractedColors);
-      setScoreData(score);
-
-      // Analyze color harmony
-      const harmony = analyzeColorHarmony(colorsWithHsl);
-      setHarmonyData(harmony);
+  const buildPipelineOptions = (overrides = {}) => ({
+    extraction: extractionOptions,
+    compareAlgorithms,
+    autoCrop,
+    transferFunction,
+    weightModel,
+    ...overrides
+  });
 
-    } catch (err) {
-      console.error('Analysis failed:', err);
-      setError('Failed to analyze image. Please try another file.');
-    } finally {
-      setAnalyzing(false);
+  const startRegionAnalysis = (imageSrc, selection, overrides = {}) => {
+    // Comparisons stay a full-frame feature; the region run only needs the analyzers
+    regionAnalysis.run(imageSrc, buildPipelineOptions({
+      ...overrides,
+      region: selection,
+      compareAlgorithms: false
+    }));
+  };
+
+  const clearRegion = () => {
+    regionAnalysis.reset();
+    setRegion(null);
+  };
+
+  const handleImageLoad = (imageSrc) => {
+    clearRegion();
+    setRegionTool('none');
+    handlePaletteToolChange('none');
+    startAnalysis(imageSrc, buildPipelineOptions());
+  };
+
+  const handleRerun = () => {
+    if (image) {
+      startAnalysis(image, buildPipelineOptions());
+      if (region) {
+        startRegionAnalysis(image, region);
+      }
+    }
+  };
+
+  const handleAutoCropChange = (enabled) => {
+    setAutoCrop(enabled);
+    if (image) {
+      startAnalysis(image, buildPipelineOptions({ autoCrop: enabled }));
+    }
+  };
+
+  const handleTransferFunctionChange = (id) => {
+    setTransferFunction(id);
+    // Zones are measured in the worker, so decode the frame again
+    if (image) {
+      startAnalysis(image, buildPipelineOptions({ transferFunction: id }));
+      if (region) {
+        startRegionAnalysis(image, region, { transferFunction: id });
+      }
+    }
+  };
+
+  const handleWeightModelChange = (id) => {
+    setWeightModel(id);
+    // The weight map also drives accent picking, so rerun the whole analysis
+    if (image) {
+      startAnalysis(image, buildPipelineOptions({ weightModel: id }));
+      if (region) {
+        startRegionAnalysis(image, region, { weightModel: id });
+      }
+    }
+  };
+
+  const handleRegionComplete = (selection) => {
+    setRegionTool('none');
+    if (!isRegionUsable(selection)) return;
+    setRegion(selection);
+    startRegionAnalysis(image, selection);
+  };
+
+  const handleCompareChange = (enabled) => {
+    setCompareAlgorithms(enabled);
+    // Compare on the analyzed buffer only, so palette edits and role overrides survive
+    if (enabled && analysis && !algorithmComparison) {
+      setComparisonPixels(analysis.pixels);
+      comparisonRun.run(analysis);
     }
   };
 
   const handleReset = () => {
+    frameAnalysis.reset();
+    comparisonRun.reset();
+    clearRegion();
+    setRegionTool('none');
+    handlePaletteToolChange('none');
     setImage(null);
-    setColors([]);
-    setScoreData(null);
-    setHarmonyData(null);
-    setZoneData(null);
-    setWeightData(null);
-    setError(null);
-  };
-
-  // Prepare combined analysis for style matching
-  const combinedAnalysis = colors.length > 0 ? {
-    colors,
-    harmony: harmonyData,
-    zoneData,
-    weightData
-  } : null;
+    setOverlayMode('off');
+    setSelectedZone(null);
+    setHoveredColorId(null);
+  };
+
+  const colors = analysis ? analysis.colors : [];
+
+  // In auto mode the frame is scored against its best-fitting ratio template
+  const activeRule = autoRule && analysis && analysis.ruleRanking.length > 0
+    ? analysis.ruleRanking[0].rule
+    : compositionRule;
+
+  // Manual role overrides only apply to the analysis they were made on
+  const hasRoleOverride = roleOverride !== null && roleOverride.analysis === analysis;
+
+  // Scoring is cheap, so rule and role changes rescore on the main thread without a rerun
+  const roleScoring = useMemo(
+    () => (analysis
+      ? scoreColorRoles(
+        analysis.colors,
+        activeRule,
+        analysis.weightData.centerOfMass,
+        hasRoleOverride ? roleOverride.order : null
+      )
+      : null),
+    [analysis, activeRule, hasRoleOverride, roleOverride]
+  );
+  const roleOrder = roleScoring ? roleScoring.order : [];
+  const scoreData = roleScoring ? roleScoring.scoreData : null;
+
+  // Style matching reads the dominant and leading colors, so it follows the roles too
+  const styleMatches = useMemo(
+    () => (roleScoring
+      ? matchCinematographerStyle({
+        colors: roleScoring.colors,
+        harmony: analysis.harmonyData,
+        zoneData: analysis.zoneData,
+        contrastData: analysis.contrastData,
+        weightData: analysis.weightData
+      })
+      : null),
+    [analysis, roleScoring]
+  );
+
+  // Palette colors outside the rule's tiers, listed after the scored swatches
+  const supportingColors = roleScoring
+    ? roleScoring.colors
+      .slice(scoreData.deviations.length)
+      .map(color => ({ ...color, role: 'Supporting' }))
+    : [];
+
+  // Undo history only applies to the analysis the edits produced
+  const undoStack = paletteHistory && paletteHistory.analysis === analysis
+    ? paletteHistory.stack
+    : [];
+
+  const handlePaletteToolChange = (tool) => {
+    setPaletteTool(tool);
+    setMergeSourceId(null);
+    setPaletteMessage(null);
+  };
+
+  const applyPaletteEdit = (editPalette) => {
+    try {
+      const edit = editPalette(analysis.pixels, analysis.labels, analysis.colors);
+      const next = refreshPaletteAnalysis(analysis, edit);
+      setPaletteHistory({ analysis: next, stack: [...undoStack, analysis] });
+      frameAnalysis.setResult(next);
+      handlePaletteToolChange('none');
+    } catch (err) {
+      setPaletteMessage(err.message);
+    }
+  };
+
+  const handleSwatchSelect = (id) => {
+    if (paletteTool === 'split') {
+      applyPaletteEdit((pixels, labels, palette) => splitColor(pixels, labels, palette, id));
+    } else if (paletteTool === 'delete') {
+      applyPaletteEdit((pixels, labels, palette) => deleteColor(pixels, labels, palette, id));
+    } else if (paletteTool === 'merge') {
+      if (mergeSourceId === null) {
+        setMergeSourceId(id);
+      } else {
+        applyPaletteEdit((pixels, labels, palette) =>
+          mergeColors(pixels, labels, palette, mergeSourceId, id)
+        );
+      }
+    }
+  };
+
+  const handleEyedropperPick = ([x, y]) => {
+    // Map the frame point into the analysis buffer, which may be cropped
+    const { bounds, pixels } = analysis;
+    const px = Math.floor(((x - bounds.x) / bounds.width) * pixels.width);
+    const py = Math.floor(((y - bounds.y) / bounds.height) * pixels.height);
+    applyPaletteEdit((buffer, labels, palette) => pickColor(buffer, labels, palette, px, py));
+  };
+
+  const handlePaletteUndo = () => {
+    const previous = undoStack[undoStack.length - 1];
+    setPaletteHistory({ analysis: previous, stack: undoStack.slice(0, -1) });
+    frameAnalysis.setResult(previous);
+    handlePaletteToolChange('none');
+  };
+
+  const handleRoleSwap = (fromId, toId) => {
+    // Only swap between colors of the current palette
+    if (!colors.some(c => c.id === fromId) || !colors.some(c => c.id === toId)) return;
+    const order = [...roleOrder];
+    const from = order.indexOf(fromId);
+    const to = order.indexOf(toId);
+    if (from === -1 || to === -1) return;
+    [order[from], order[to]] = [order[to], order[from]];
+    setRoleOverride({ analysis, order });
+  };
+
+  const handleZoneSelect = (zone) => {
+    // Clicking the selected zone again clears the selection
+    const next = zone === selectedZone ? null : zone;
+    setSelectedZone(next);
+    if (next !== null) {
+      setOverlayMode('zone');
+    }
+  };
+
+  const overlayPixels = useMemo(() => {
+    if (!analysis) return null;
+    if (overlayMode === 'falseColor' || overlayMode === 'zone') {
+      return renderZoneOverlay(analysis.zoneData.zoneMap, overlayMode, selectedZone);
+    }
+    if (overlayMode === 'clipping') {
+      return renderClippingOverlay(analysis.clippingData.clipMap);
+    }
+    return renderPaletteOverlay(analysis.labels, analysis.colors, overlayMode, hoveredColorId);
+  }, [analysis, overlayMode, hoveredColorId, selectedZone]);
+
+  const overlayHints = {
+    isolate: 'Hover a swatch to isolate its pixels',
+    zone: 'Click a bar in the zone histogram to isolate that zone',
+    clipping: 'Stripes mark clipped highlights, blue marks crushed shadows'
+  };
 
   return (
     <div className="color-call">
@@ -164,7 +412,53 @@ export default function ColorCall() {
               onImageLoad={handleImageLoad}
               image={image}
               disabled={analyzing}
+              overlay={
+                <>
+                  <BorderIndicator
+                    borders={analysis ? analysis.borders : null}
+                    cropped={autoCrop}
+                  />
+                  <FrameOverlay
+                    pixels={overlayPixels}
+                    bounds={analysis ? analysis.bounds : null}
+                  />
+                  <RegionSelector
+                    tool={regionTool}
+                    region={region}
+                    onComplete={handleRegionComplete}
+                  />
+                  <Eyedropper
+                    active={paletteTool === 'eyedropper' && analysis !== null}
+                    onPick={handleEyedropperPick}
+                  />
+                </>
+              }
             />
+            {analysis && (
+              <OverlayControls
+                modes={OVERLAY_MODES}
+                mode={overlayMode}
+                onChange={setOverlayMode}
+                hint={overlayHints[overlayMode] || null}
+              />
+            )}
+            {analysis && (
+              <BorderControls
+                borders={analysis.borders}
+                autoCrop={autoCrop}
+                onAutoCropChange={handleAutoCropChange}
+                disabled={analyzing}
+              />
+            )}
+            {analysis && (
+              <RegionControls
+                tool={regionTool}
+                onToolChange={setRegionTool}
+                hasRegion={region !== null}
+                onClear={clearRegion}
+                disabled={analyzing}
+              />
+            )}
           </div>
 
           {/* Right column: Color swatches */}
@@ -172,17 +466,56 @@ export default function ColorCall() {
             {analyzing ? (
               <div className="loading-state">
                 <div className="spinner" />
-                <span className="loading-text">Analyzing frame...</span>
+                <span className="loading-text">
+                  {progress ? `${progress.label}...` : 'Analyzing frame...'}
+                </span>
+                {progress && (
+                  <div className="loading-progress">
+                    <div
+                      className="loading-progress-fill"
+                      style={{ width: `${(progress.step / progress.total) * 100}%` }}
+                    />
+                  </div>
+                )}
               </div>
             ) : error ? (
               <div className="error-state">
                 <span className="error-text">{error}</span>
               </div>
-            ) : scoreData && scoreData.deviations.length > 0 ? (
+            ) : scoreData && colors.length > 0 ? (
               <div className="swatches-list">
-                {scoreData.deviations.map((color, idx) => (
-                  <ColorSwatch key={idx} color={color} index={idx} />
+                <div className="swatches-header">
+                  {scoreData.requiredColors ? (
+                    <span className="swatches-hint rule-shortfall">
+                      {activeRule.name} needs {scoreData.requiredColors} colors, the palette has {colors.length}
+                    </span>
+                  ) : (
+                    <span className="swatches-hint">Drag a swatch onto another to swap roles</span>
+                  )}
+                  {hasRoleOverride && (
+                    <button className="roles-reset" onClick={() => setRoleOverride(null)}>
+                      Reset roles
+                    </button>
+                  )}
+                </div>
+                {[...scoreData.deviations, ...supportingColors].map((color, idx) => (
+                  <ColorSwatch
+                    key={color.id}
+                    color={color}
+                    index={idx}
+                    onHover={setHoveredColorId}
+                    onSwap={handleRoleSwap}
+                    onSelect={['merge', 'split', 'delete'].includes(paletteTool) ? handleSwatchSelect : null}
+                    selected={color.id === mergeSourceId}
+                  />
                 ))}
+                <PaletteTools
+                  tool={paletteTool}
+                  onToolChange={handlePaletteToolChange}
+                  canUndo={undoStack.length > 0}
+                  onUndo={handlePaletteUndo}
+                  message={paletteMessage}
+                />
               </div>
             ) : !image ? (
               <div className="empty-swatches">
@@ -191,6 +524,17 @@ export default function ColorCall() {
                 </span>
               </div>
             ) : null}
+
+            {image && (
+              <ExtractionSettings
+                options={extractionOptions}
+                onChange={setExtractionOptions}
+                onApply={handleRerun}
+                compare={compareAlgorithms}
+                onCompareChange={handleCompareChange}
+                disabled={analyzing}
+              />
+            )}
           </div>
         </div>
 
@@ -198,7 +542,20 @@ export default function ColorCall() {
         {colors.length > 0 && scoreData && (
           <div className="analysis-section">
             <div className="spectrum-section">
-              <SpectrumBar colors={colors} showIdealComparison={true} />
+              <SpectrumBar colors={colors} showIdealComparison={true} rule={activeRule} />
+              <span className="run-seed label" title="Extraction seed: enter it under Extraction Settings to reproduce this palette">
+                Seed <span className="mono">{formatSeed(analysis.seed)}</span>
+              </span>
+              <span className="run-aspect label" title="Aspect ratio of the active image, excluding detected borders">
+                Active image <span className="mono">{analysis.borders.aspectRatio.label}</span>
+                {analysis.borders.aspectRatio.name && ` · ${analysis.borders.aspectRatio.name}`}
+              </span>
+              <RuleSelector
+                rule={compositionRule}
+                onChange={setCompositionRule}
+                auto={autoRule}
+                onAutoChange={setAutoRule}
+              />
             </div>
             <div className="score-section">
               <ScoreDisplay
@@ -210,14 +567,62 @@ export default function ColorCall() {
           </div>
         )}
 
+        {autoRule && analysis && (
+          <RuleRanking ranking={analysis.ruleRanking} />
+        )}
+
+        {compareAlgorithms && analysis && (
+          <AlgorithmComparison
+            comparison={algorithmComparison}
+            selected={analysis.extractionOptions.algorithm}
+            rule={activeRule}
+          />
+        )}
+
+        {region && (
+          <RegionComparison
+            frame={analysis}
+            frameScore={scoreData}
+            region={regionAnalysis.result}
+            running={regionAnalysis.running}
+            progress={regionAnalysis.progress}
+            error={regionAnalysis.error}
+            rule={activeRule}
+          />
+        )}
+
         {/* Advanced analysis tools */}
         <section className="advanced-section">
           <h2 className="section-title">Advanced Analysis</h2>
           <div className="advanced-grid">
-            <ColorHarmony colors={colors} />
-            <ZoneSystem zoneData={zoneData} />
-            <VisualWeight weightData={weightData} />
-            <StyleMatching analysis={combinedAnalysis} />
+            <ColorHarmony harmony={analysis ? analysis.harmonyData : null} />
+            <SkinTone
+              skinData={analysis ? analysis.skinData : null}
+              vectorscope={analysis ? analysis.vectorscope : null}
+            />
+            <ZoneSystem
+              zoneData={analysis ? analysis.zoneData : null}
+              transferFunction={transferFunction}
+              onTransferFunctionChange={handleTransferFunctionChange}
+              disabled={analyzing}
+              selectedZone={selectedZone}
+              onZoneSelect={handleZoneSelect}
+              falseColor={overlayMode === 'falseColor'}
+              clipping={analysis ? analysis.clippingData : null}
+              clippingThresholds={clippingThresholds}
+              onClippingThresholdsChange={setClippingThresholds}
+            />
+            <ContrastAnalysis contrastData={analysis ? analysis.contrastData : null} />
+            <VisualWeight
+              weightData={analysis ? analysis.weightData : null}
+              weightModel={weightModel}
+              onWeightModelChange={handleWeightModelChange}
+              disabled={analyzing}
+            />
+            <StyleMatching matches={styleMatches} />
+            <Waveform waveforms={analysis ? analysis.waveforms : null} />
+            <RgbParade waveforms={analysis ? analysis.waveforms : null} />
+            <Vectorscope vectorscope={analysis ? analysis.vectorscope : null} />
           </div>
         </section>
       </main>
@@ -225,7 +630,7 @@ export default function ColorCall() {
       {/* Footer */}
       <footer className="footer">
         <p className="footer-text">
-          The 60/30/10 rule: 60% dominant color, 30% secondary, 10% accent.
+          The {activeRule.name} rule: {describeRuleTargets(activeRule)}.
         </p>
         <p className="footer-text">
           A guideline—not a law. Great cinematography knows when to break it.
@@ -1,8 +1,15 @@
-import { analyzeColorHarmony, getColorWheelInfo } from '../utils/colorHarmony';
+import { useState } from 'react';
+import { getColorWheelInfo, suggestHarmonyColors } from '../utils/colorHarmony';
+import ColorWheel from './ColorWheel';
 import './ColorHarmony.css';
 
-export default function ColorHarmony({ colors }) {
-  if (!colors || colors.length < 2) {
+// Number of ranked schemes listed
+const MAX_CANDIDATES = 3;
+
+export default function ColorHarmony({ harmony }) {
+  const [copiedHex, setCopiedHex] = useState(null);
+
+  if (!harmony || !harmony.colors) {
     return (
       <div className="color-harmony card">
         <span className="feature-label label">Color Harmony</span>
@@ -11,7 +18,14 @@ export default function ColorHarmony({ colors }) {
     );
   }
 
-  const harmony = analyzeColorHarmony(colors);
+  const suggestions = suggestHarmonyColors(harmony);
+
+  const copyHex = (hex) => {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(hex)
+      .then(() => setCopiedHex(hex))
+      .catch(() => setCopiedHex(null));
+  };
 
   return (
     <div className="color-harmony card">
@@ -25,70 +39,32 @@ export default function ColorHarmony({ colors }) {
         </div>
       </div>
 
-      {/* Color wheel visualization */}
-      <div className="color-wheel-container">
-        <svg viewBox="0 0 100 100" className="color-wheel">
-          {/* Color wheel background */}
-          <defs>
-            <linearGradient id="wheel-gradient" gradientTransform="rotate(90)">
-              <stop offset="0%" stopColor="hsl(0, 70%, 50%)" />
-              <stop offset="16.67%" stopColor="hsl(60, 70%, 50%)" />
-              <stop offset="33.33%" stopColor="hsl(120, 70%, 50%)" />
-              <stop offset="50%" stopColor="hsl(180, 70%, 50%)" />
-              <stop offset="66.67%" stopColor="hsl(240, 70%, 50%)" />
-              <stop offset="83.33%" stopColor="hsl(300, 70%, 50%)" />
-              <stop offset="100%" stopColor="hsl(360, 70%, 50%)" />
-            </linearGradient>
-          </defs>
-
-          {/* Outer ring representing color wheel */}
-          <circle
-            cx="50"
-            cy="50"
-            r="40"
-            fill="none"
-            stroke="var(--frame)"
-            strokeWidth="8"
-            opacity="0.3"
-          />
-
-          {/* Color position markers */}
-          {harmony.colors && harmony.colors.map((color, idx) => {
-            const hue = color.hsl[0];
-            const angle = (hue - 90) * (Math.PI / 180); // Offset by -90 to start at top
-            const radius = 40;
-            const x = 50 + radius * Math.cos(angle);
-            const y = 50 + radius * Math.sin(angle);
+      {harmony.candidates && harmony.candidates.length > 1 && (
+        <div className="harmony-candidates">
+          {harmony.candidates.slice(0, MAX_CANDIDATES).map((candidate) => (
+            <div
+              key={candidate.type}
+              className={`harmony-candidate ${candidate.type === harmony.type ? 'best' : ''}`}
+              title={candidate.description}
+            >
+              <span className="candidate-type">{candidate.type}</span>
+              <div className="candidate-bar">
+                <div className="candidate-bar-fill" style={{ width: `${candidate.score}%` }} />
+              </div>
+              <span className="candidate-score mono">{candidate.score}</span>
+            </div>
+          ))}
+        </div>
+      )}
 
-            return (
-              <g key={idx}>
-                {/* Line from center to position */}
-                <line
-                  x1="50"
-                  y1="50"
-                  x2={x}
-                  y2={y}
-                  stroke={color.hex}
-                  strokeWidth={idx === 0 ? 2 : 1}
-                  opacity={0.6}
-                />
-                {/* Color marker */}
-                <circle
-                  cx={x}
-                  cy={y}
-                  r={idx === 0 ? 6 : 4}
-                  fill={color.hex}
-                  stroke="var(--projection)"
-                  strokeWidth="1"
-                />
-              </g>
-            );
-          })}
+      {harmony.hueStatistics && (
+        <span className="harmony-stats mono">
+          Mean hue {Math.round(harmony.hueStatistics.mean)}° · arc {Math.round(harmony.hueStatistics.arc)}° · variance {harmony.hueStatistics.variance.toFixed(2)}
+        </span>
+      )}
 
-          {/* Center dot */}
-          <circle cx="50" cy="50" r="3" fill="var(--midtone)" />
-        </svg>
-      </div>
+      {/* Hue/saturation wheel with the scheme's ideal geometry */}
+      <ColorWheel harmony={harmony} />
 
       {/* Color positions */}
       <div className="color-positions">
@@ -103,6 +79,32 @@ export default function ColorHarmony({ colors }) {
           </div>
         ))}
       </div>
+
+      {/* Colors that would complete the detected scheme */}
+      {suggestions.length > 0 && (
+        <div className="harmony-suggestions">
+          <span className="suggestions-label label">Suggestions</span>
+          <div className="suggestion-list">
+            {suggestions.map((suggestion) => (
+              <button
+                key={`${suggestion.hex}-${suggestion.reason}`}
+                type="button"
+                className="suggestion"
+                onClick={() => copyHex(suggestion.hex)}
+                title={`${suggestion.reason} · click to copy`}
+              >
+                <span
+                  className="suggestion-swatch"
+                  style={{ backgroundColor: suggestion.hex }}
+                />
+                <span className="suggestion-hex mono">
+                  {copiedHex === suggestion.hex ? 'Copied' : suggestion.hex}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
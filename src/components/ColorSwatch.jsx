@@ -1,15 +1,51 @@
+import { useState } from 'react';
 import { formatRgb, isLightColor } from '../utils/colorUtils';
 import './ColorSwatch.css';
 
 const ROLE_LABELS = ['Dominant', 'Secondary', 'Accent'];
 
-export default function ColorSwatch({ color, index }) {
-  const role = ROLE_LABELS[index] || `Color ${index + 1}`;
+// Drag payload type, so files or text dragged in from elsewhere are ignored
+const SWATCH_DRAG_TYPE = 'application/x-color-call-swatch';
+
+export default function ColorSwatch({ color, index, onHover, onSwap, onSelect, selected }) {
+  const [isDropTarget, setIsDropTarget] = useState(false);
+  const role = color.role || ROLE_LABELS[index] || `Color ${index + 1}`;
   const rgbString = formatRgb(color.rgb);
   const isLight = isLightColor(color.rgb);
 
+  // Dragging one swatch onto another swaps their roles
+  const dragProps = onSwap
+    ? {
+        draggable: true,
+        onDragStart: (e) => {
+          e.dataTransfer.setData(SWATCH_DRAG_TYPE, String(color.id));
+          e.dataTransfer.effectAllowed = 'move';
+        },
+        onDragOver: (e) => {
+          if (!e.dataTransfer.types.includes(SWATCH_DRAG_TYPE)) return;
+          e.preventDefault();
+          setIsDropTarget(true);
+        },
+        onDragLeave: () => setIsDropTarget(false),
+        onDrop: (e) => {
+          e.preventDefault();
+          setIsDropTarget(false);
+          const payload = e.dataTransfer.getData(SWATCH_DRAG_TYPE);
+          if (!/^\d+$/.test(payload)) return;
+          const fromId = Number(payload);
+          if (fromId !== color.id) onSwap(fromId, color.id);
+        }
+      }
+    : {};
+
   return (
-    <div className="color-swatch">
+    <div
+      className={`color-swatch ${onSwap ? 'swappable' : ''} ${isDropTarget ? 'drop-target' : ''} ${onSelect ? 'selectable' : ''} ${selected ? 'selected' : ''}`}
+      onClick={onSelect ? () => onSelect(color.id) : undefined}
+      onMouseEnter={onHover ? () => onHover(color.id) : undefined}
+      onMouseLeave={onHover ? () => onHover(null) : undefined}
+      {...dragProps}
+    >
       <div
         className="swatch-color"
         style={{ backgroundColor: color.hex }}
@@ -25,6 +61,39 @@ export default function ColorSwatch({ color, index }) {
         <span className="swatch-role label">{role}</span>
         <span className="swatch-hex mono">{color.hex}</span>
         <span className="swatch-rgb mono">{rgbString}</span>
+        {color.spatial && (
+          <div className="swatch-spatial" title={color.spatial.distributionDescription}>
+            <div className="spatial-map">
+              <div
+                className="spatial-bounds"
+                style={{
+                  left: `${color.spatial.boundingBox.x}%`,
+                  top: `${color.spatial.boundingBox.y}%`,
+                  width: `${color.spatial.boundingBox.width}%`,
+                  height: `${color.spatial.boundingBox.height}%`
+                }}
+              />
+              <div
+                className="spatial-centroid"
+                style={{
+                  left: `${color.spatial.centroid.x}%`,
+                  top: `${color.spatial.centroid.y}%`,
+                  backgroundColor: color.hex
+                }}
+              />
+            </div>
+            <div className="spatial-stats">
+              <span className="spatial-distribution">{color.spatial.distribution}</span>
+              <span className="spatial-detail mono">
+                {color.spatial.regionCount} {color.spatial.regionCount === 1 ? 'region' : 'regions'}
+                {' · '}
+                {(color.spatial.largestRegionShare * 100).toFixed(0)}% largest
+                {' · '}
+                C {color.spatial.compactness.toFixed(2)}
+              </span>
+            </div>
+          </div>
+        )}
         {color.deviation !== undefined && (
           <span
             className={`swatch-deviation mono ${color.withinTolerance ? 'within' : 'beyond'}`}
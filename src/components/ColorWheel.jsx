@@ -0,0 +1,179 @@
+import { useState, useRef, useEffect } from 'react';
+import { HARMONY_TEMPLATES, scoreTemplateRotation } from '../utils/colorHarmony';
+import './ColorWheel.css';
+
+// Resolution of the painted hue/saturation wheel
+const WHEEL_SIZE = 240;
+
+// Wheel radius in the 0-100 SVG viewBox
+const RADIUS = 45;
+
+/**
+ * Convert a hue and saturation to a point on the wheel
+ * Hue 0° sits at the top and runs clockwise; saturation grows outward.
+ */
+function wheelPoint(hue, saturation = 100) {
+  const angle = ((hue - 90) * Math.PI) / 180;
+  const r = (saturation / 100) * RADIUS;
+  return [50 + r * Math.cos(angle), 50 + r * Math.sin(angle)];
+}
+
+/**
+ * Paint hue by angle and saturation by radius at 50% lightness
+ */
+function paintWheel(canvas) {
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(WHEEL_SIZE, WHEEL_SIZE);
+  const center = WHEEL_SIZE / 2;
+
+  for (let y = 0; y < WHEEL_SIZE; y++) {
+    for (let x = 0; x < WHEEL_SIZE; x++) {
+      const dx = x + 0.5 - center;
+      const dy = y + 0.5 - center;
+      const distance = Math.hypot(dx, dy) / center;
+      if (distance > 1) continue;
+
+      const hue = ((Math.atan2(dy, dx) * 180) / Math.PI + 90 + 360) % 360;
+      const chroma = distance;
+      const h = hue / 60;
+      const secondary = chroma * (1 - Math.abs((h % 2) - 1));
+      const [r, g, b] = [
+        [chroma, secondary, 0],
+        [secondary, chroma, 0],
+        [0, chroma, secondary],
+        [0, secondary, chroma],
+        [secondary, 0, chroma],
+        [chroma, 0, secondary]
+      ][Math.floor(h) % 6];
+      const base = 0.5 - chroma / 2;
+
+      const offset = (y * WHEEL_SIZE + x) * 4;
+      image.data[offset] = (r + base) * 255;
+      image.data[offset + 1] = (g + base) * 255;
+      image.data[offset + 2] = (b + base) * 255;
+      image.data[offset + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+}
+
+export default function ColorWheel({ harmony }) {
+  const canvasRef = useRef(null);
+  const detectedTemplate = HARMONY_TEMPLATES.find(t => t.type === harmony.type);
+  const detected = harmony.candidates
+    ? harmony.candidates.find(c => c.type === harmony.type)
+    : null;
+
+  // Template choices reset whenever a new harmony result arrives
+  const [selection, setSelection] = useState(null);
+  const current = selection && selection.harmony === harmony
+    ? selection
+    : {
+        harmony,
+        type: detectedTemplate ? detectedTemplate.type : 'none',
+        rotation: detected && detected.rotation !== null ? Math.round(detected.rotation) : 0
+      };
+  const template = HARMONY_TEMPLATES.find(t => t.type === current.type) || null;
+
+  useEffect(() => {
+    if (canvasRef.current) {
+      paintWheel(canvasRef.current);
+    }
+  }, []);
+
+  const update = (changes) => setSelection({ ...current, ...changes });
+
+  const templatePoints = template
+    ? template.angles.map(angle => wheelPoint(current.rotation + angle))
+    : [];
+  const fitScore = template
+    ? scoreTemplateRotation(harmony.colors, template.angles, current.rotation)
+    : null;
+
+  // Arc wedge for hue-spread schemes, centered on the circular mean hue
+  const showArc = !template && harmony.hueStatistics &&
+    (harmony.type === 'Analogous' || harmony.type === 'Monochromatic');
+  let arcPath = null;
+  if (showArc) {
+    const { mean, arc } = harmony.hueStatistics;
+    const half = Math.max(arc, 4) / 2;
+    const [x1, y1] = wheelPoint(mean - half);
+    const [x2, y2] = wheelPoint(mean + half);
+    arcPath = `M50,50 L${x1},${y1} A${RADIUS},${RADIUS} 0 ${half * 2 > 180 ? 1 : 0} 1 ${x2},${y2} Z`;
+  }
+
+  return (
+    <div className="color-wheel-panel">
+      <div className="color-wheel">
+        <canvas
+          ref={canvasRef}
+          className="wheel-canvas"
+          width={WHEEL_SIZE}
+          height={WHEEL_SIZE}
+        />
+        <svg viewBox="0 0 100 100" className="wheel-overlay">
+          {arcPath && <path d={arcPath} className="wheel-arc" />}
+
+          {templatePoints.length > 1 && (
+            <polygon
+              points={templatePoints.map(([x, y]) => `${x},${y}`).join(' ')}
+              className="wheel-template"
+            />
+          )}
+          {templatePoints.map(([x, y], idx) => (
+            <line key={idx} x1="50" y1="50" x2={x} y2={y} className="wheel-spoke" />
+          ))}
+
+          {/* One marker per extracted color, sized by its share of the frame */}
+          {harmony.colors.map((color, idx) => {
+            const [x, y] = wheelPoint(color.hsl[0], color.hsl[1]);
+            const share = color.percentage !== undefined ? color.percentage : 20;
+            return (
+              <circle
+                key={idx}
+                cx={x}
+                cy={y}
+                r={2 + Math.sqrt(share) * 0.8}
+                fill={color.hex}
+                className="wheel-marker"
+              >
+                <title>{`${color.hex} · ${share.toFixed(1)}%`}</title>
+              </circle>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="wheel-controls">
+        <select
+          className="wheel-select"
+          value={current.type}
+          onChange={(e) => update({ type: e.target.value })}
+          aria-label="Harmony template"
+        >
+          <option value="none">No template</option>
+          {HARMONY_TEMPLATES.map(t => (
+            <option key={t.type} value={t.type}>{t.type}</option>
+          ))}
+        </select>
+        {template && (
+          <>
+            <input
+              type="range"
+              className="wheel-rotation"
+              min="0"
+              max="359"
+              value={current.rotation}
+              onChange={(e) => update({ rotation: Number(e.target.value) })}
+              aria-label="Template rotation"
+            />
+            <span className="wheel-fit mono">
+              {current.rotation}° · fit {fitScore}
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
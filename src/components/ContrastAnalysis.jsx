@@ -0,0 +1,58 @@
+import './ContrastAnalysis.css';
+
+// Metrics shown as bars, all on a 0-100 scale
+const CONTRAST_METRICS = [
+  { key: 'rms', label: 'RMS', description: 'Standard deviation of luma' },
+  { key: 'michelson', label: 'Michelson', description: 'Brightest vs darkest tones (1st-99th percentile)' },
+  { key: 'localContrast', label: 'Local', description: 'Multi-scale Laplacian energy' },
+  { key: 'haze', label: 'Haze', description: 'Dark-channel prior estimate of atmosphere' }
+];
+
+export default function ContrastAnalysis({ contrastData }) {
+  if (!contrastData) {
+    return (
+      <div className="contrast-analysis card">
+        <span className="feature-label label">Contrast & Texture</span>
+        <p className="empty-message">Upload an image to measure contrast</p>
+      </div>
+    );
+  }
+
+  const { character, characterDescription, scales } = contrastData;
+
+  return (
+    <div className="contrast-analysis card">
+      <span className="feature-label label">Contrast & Texture</span>
+
+      <div className="contrast-character">
+        <span className="contrast-character-name">{character}</span>
+        <span className="contrast-character-description">{characterDescription}</span>
+      </div>
+
+      <div className="contrast-metrics">
+        {CONTRAST_METRICS.map(metric => (
+          <div key={metric.key} className="contrast-metric" title={metric.description}>
+            <span className="contrast-metric-label">{metric.label}</span>
+            <div className="contrast-bar">
+              <div
+                className={`contrast-bar-fill ${metric.key}`}
+                style={{ width: `${Math.min(100, contrastData[metric.key])}%` }}
+              />
+            </div>
+            <span className="contrast-metric-value mono">{contrastData[metric.key].toFixed(0)}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Local contrast by pyramid level */}
+      <div className="contrast-scales">
+        {scales.map(scale => (
+          <div key={scale.id} className="contrast-scale">
+            <span className="contrast-scale-value mono">{scale.value.toFixed(0)}</span>
+            <span className="contrast-scale-label label">{scale.label} detail</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import {
+  COLOR_SPACES,
+  EXTRACTION_PRESETS,
+  EXTRACTION_OPTION_LIMITS,
+  PALETTE_ALGORITHMS,
+  clampExtractionOption
+} from '../utils/colorExtraction';
+import { formatSeed, parseSeed } from '../utils/random';
+import './ExtractionSettings.css';
+
+const NUMERIC_FIELDS = [
+  { key: 'colorCount', label: 'Colors', step: 1 },
+  { key: 'clusters', label: 'Clusters', step: 1 },
+  { key: 'maxIterations', label: 'Iterations', step: 5 },
+  { key: 'sampleStep', label: 'Sample Step', step: 1 },
+  { key: 'maxDimension', label: 'Resolution', step: 50 },
+  { key: 'vibrancyBoost', label: 'Vibrancy Boost', step: 0.5 }
+].map(field => ({ ...field, ...EXTRACTION_OPTION_LIMITS[field.key] }));
+
+/**
+ * Find the preset whose options match the current ones, if any
+ */
+function getActivePreset(options) {
+  return Object.keys(EXTRACTION_PRESETS).find(id => {
+    const presetOptions = EXTRACTION_PRESETS[id].options;
+    return Object.keys(presetOptions).every(key => presetOptions[key] === options[key]);
+  });
+}
+
+export default function ExtractionSettings({
+  options,
+  onChange,
+  onApply,
+  compare,
+  onCompareChange,
+  disabled
+}) {
+  const activePreset = getActivePreset(options);
+
+  const handleFieldChange = (key, value) => {
+    onChange({ ...options, [key]: value });
+  };
+
+  // Ignore empty or partial input instead of sending 0; the field keeps its last value
+  const handleNumberChange = (key, text) => {
+    const value = Number(text);
+    if (text.trim() === '' || !Number.isFinite(value)) return;
+    handleFieldChange(key, value);
+  };
+
+  const handleNumberBlur = (key) => {
+    const value = clampExtractionOption(key, options[key]);
+    if (value !== options[key]) handleFieldChange(key, value);
+  };
+
+  // Empty (or unreadable) text clears the seed back to the frame hash
+  const handleSeedCommit = (input) => {
+    const seed = parseSeed(input.value);
+    if (seed !== options.seed) {
+      handleFieldChange('seed', seed);
+    } else {
+      input.value = seed !== undefined ? formatSeed(seed) : '';
+    }
+  };
+
+  return (
+    <div className="extraction-settings card">
+      <span className="feature-label label">Extraction Settings</span>
+
+      <div className="preset-options">
+        {Object.entries(EXTRACTION_PRESETS).map(([id, preset]) => (
+          <button
+            key={id}
+            className={`preset-button ${activePreset === id ? 'active' : ''}`}
+            onClick={() => onChange({ ...preset.options, seed: options.seed })}
+            disabled={disabled}
+            title={preset.description}
+          >
+            {preset.name}
+          </button>
+        ))}
+      </div>
+
+      <label className="settings-field">
+        <span className="settings-field-label">Algorithm</span>
+        <select
+          className="settings-input mono"
+          value={options.algorithm}
+          onChange={(e) => handleFieldChange('algorithm', e.target.value)}
+          disabled={disabled}
+        >
+          {Object.entries(PALETTE_ALGORITHMS).map(([id, algorithm]) => (
+            <option key={id} value={id}>{algorithm.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        <span className="settings-field-label">Color Space</span>
+        <select
+          className="settings-input mono"
+          value={options.colorSpace}
+          onChange={(e) => handleFieldChange('colorSpace', e.target.value)}
+          disabled={disabled}
+        >
+          {Object.entries(COLOR_SPACES).map(([id, space]) => (
+            <option key={id} value={id}>{space.name}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="settings-grid">
+        {NUMERIC_FIELDS.map(field => (
+          <label key={field.key} className="settings-field">
+            <span className="settings-field-label">{field.label}</span>
+            <input
+              type="number"
+              className="settings-input mono"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={options[field.key]}
+              onChange={(e) => handleNumberChange(field.key, e.target.value)}
+              onBlur={() => handleNumberBlur(field.key)}
+              disabled={disabled}
+            />
+          </label>
+        ))}
+      </div>
+
+      <label className="settings-field">
+        <span className="settings-field-label">Seed</span>
+        <input
+          // Remount when the seed changes elsewhere so the draft text follows it
+          key={options.seed !== undefined ? options.seed : 'auto'}
+          type="text"
+          className="settings-input mono"
+          defaultValue={options.seed !== undefined ? formatSeed(options.seed) : ''}
+          placeholder="Auto (frame hash)"
+          onBlur={(e) => handleSeedCommit(e.target)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSeedCommit(e.target);
+          }}
+          disabled={disabled}
+          title="Reuse a run's seed to reproduce its palette; leave empty to seed from the frame"
+        />
+      </label>
+
+      <label className="settings-toggle">
+        <input
+          type="checkbox"
+          checked={compare}
+          onChange={(e) => onCompareChange(e.target.checked)}
+          disabled={disabled}
+        />
+        <span>Compare all algorithms side by side</span>
+      </label>
+
+      <button className="apply-button" onClick={onApply} disabled={disabled}>
+        Re-run Analysis
+      </button>
+    </div>
+  );
+}
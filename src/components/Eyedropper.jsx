@@ -0,0 +1,19 @@
+import './Eyedropper.css';
+
+export default function Eyedropper({ active, onPick }) {
+  if (!active) {
+    return null;
+  }
+
+  const handleClick = (e) => {
+    // Keep the click from reaching the upload zone's file picker
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    onPick([
+      (e.clientX - rect.left) / rect.width,
+      (e.clientY - rect.top) / rect.height
+    ]);
+  };
+
+  return <div className="eyedropper" onClick={handleClick} />;
+}
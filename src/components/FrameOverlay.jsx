@@ -0,0 +1,38 @@
+import { useRef, useEffect } from 'react';
+import './FrameOverlay.css';
+
+export default function FrameOverlay({ pixels, bounds }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !pixels) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+  }, [pixels]);
+
+  if (!pixels) {
+    return null;
+  }
+
+  // Analysis may cover only part of the frame (cropped borders or a region)
+  const style = bounds
+    ? {
+        left: `${bounds.x * 100}%`,
+        top: `${bounds.y * 100}%`,
+        width: `${bounds.width * 100}%`,
+        height: `${bounds.height * 100}%`
+      }
+    : undefined;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="frame-overlay"
+      width={pixels.width}
+      height={pixels.height}
+      style={style}
+    />
+  );
+}
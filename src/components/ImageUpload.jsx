@@ -1,7 +1,7 @@
 import { useState, useRef } from 'react';
 import './ImageUpload.css';
 
-export default function ImageUpload({ onImageLoad, image, disabled }) {
+export default function ImageUpload({ onImageLoad, image, disabled, overlay }) {
   const [isDragOver, setIsDragOver] = useState(false);
   const fileInputRef = useRef(null);
 
@@ -77,7 +77,10 @@ export default function ImageUpload({ onImageLoad, image, disabled }) {
         onKeyDown={(e) => e.key === 'Enter' && handleClick()}
       >
         {image ? (
-          <img src={image} alt="Uploaded movie still" className="preview-image" />
+          <div className="preview-frame">
+            <img src={image} alt="Uploaded movie still" className="preview-image" />
+            {overlay}
+          </div>
         ) : (
           <div className="upload-prompt">
             <div className="upload-icon">
@@ -0,0 +1,21 @@
+import './OverlayControls.css';
+
+export default function OverlayControls({ modes, mode, onChange, hint }) {
+  return (
+    <div className="overlay-controls">
+      <span className="overlay-label label">Overlay</span>
+      <div className="overlay-options">
+        {modes.map((option) => (
+          <button
+            key={option.id}
+            className={`overlay-button ${mode === option.id ? 'active' : ''}`}
+            onClick={() => onChange(option.id)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {hint && <span className="overlay-hint">{hint}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import './PaletteTools.css';
+
+const PALETTE_TOOLS = [
+  { id: 'merge', label: 'Merge', hint: 'Click the swatch to keep, then the swatch to merge into it' },
+  { id: 'split', label: 'Split', hint: 'Click a swatch to split it in two' },
+  { id: 'delete', label: 'Delete', hint: 'Click a swatch to remove it; its pixels go to the nearest color' },
+  { id: 'eyedropper', label: 'Eyedropper', hint: 'Click the frame to add the color under the cursor' }
+];
+
+export default function PaletteTools({ tool, onToolChange, canUndo, onUndo, message }) {
+  const activeTool = PALETTE_TOOLS.find(t => t.id === tool);
+
+  return (
+    <div className="palette-tools">
+      <div className="palette-tools-row">
+        <span className="palette-tools-label label">Edit Palette</span>
+        <div className="palette-tools-options">
+          {PALETTE_TOOLS.map((option) => (
+            <button
+              key={option.id}
+              className={`palette-tool-button ${tool === option.id ? 'active' : ''}`}
+              onClick={() => onToolChange(tool === option.id ? 'none' : option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button className="palette-tool-button" onClick={onUndo} disabled={!canUndo}>
+            Undo
+          </button>
+        </div>
+      </div>
+      {message ? (
+        <span className="palette-tools-message">{message}</span>
+      ) : activeTool ? (
+        <span className="palette-tools-hint">{activeTool.hint}</span>
+      ) : null}
+    </div>
+  );
+}
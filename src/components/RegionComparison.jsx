@@ -0,0 +1,87 @@
+import { scoreColorRoles } from '../utils/colorRoles';
+import './RegionComparison.css';
+
+/**
+ * Key metrics for one column
+ * A precomputed score (the frame's, with any role override) is used as is;
+ * otherwise roles are assigned automatically.
+ */
+function MetricRows({ analysis, rule, score }) {
+  const { zoneData, weightData, harmonyData } = analysis;
+  const scoreData = score || scoreColorRoles(analysis.colors, rule, weightData.centerOfMass).scoreData;
+
+  return (
+    <dl className="region-metrics">
+      <div className="region-metric">
+        <dt className="label">Composition</dt>
+        <dd className="mono">{scoreData.score} · {scoreData.verdict}</dd>
+      </div>
+      <div className="region-metric">
+        <dt className="label">Zones</dt>
+        <dd className="mono">{zoneData.character} · {zoneData.dynamicRange.toFixed(1)} stops</dd>
+      </div>
+      <div className="region-metric">
+        <dt className="label">Weight</dt>
+        <dd className="mono">{weightData.balanceType} · {weightData.balanceScore}</dd>
+      </div>
+      <div className="region-metric">
+        <dt className="label">Harmony</dt>
+        <dd className="mono">{harmonyData.type} · {harmonyData.score}</dd>
+      </div>
+    </dl>
+  );
+}
+
+function PaletteBar({ colors }) {
+  return (
+    <div className="region-palette">
+      {colors.map((color, idx) => (
+        <div
+          key={idx}
+          className="region-palette-segment"
+          style={{
+            width: `${color.percentage}%`,
+            backgroundColor: color.hex,
+          }}
+          title={`${color.hex}: ${color.percentage.toFixed(1)}%`}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function RegionComparison({ frame, frameScore, region, running, progress, error, rule }) {
+  if (!frame) {
+    return null;
+  }
+
+  return (
+    <div className="region-comparison card">
+      <span className="feature-label label">Region vs Full Frame</span>
+
+      <div className="region-columns">
+        <div className="region-column">
+          <span className="region-column-title">Full Frame</span>
+          <PaletteBar colors={frame.colors} />
+          <MetricRows analysis={frame} rule={rule} score={frameScore} />
+        </div>
+
+        <div className="region-column">
+          <span className="region-column-title">Region</span>
+          {running ? (
+            <span className="region-status">
+              {progress ? `${progress.label}...` : 'Analyzing region...'}
+            </span>
+          ) : error ? (
+            <span className="region-status error">Failed to analyze region.</span>
+          ) : region ? (
+            <>
+              <PaletteBar colors={region.colors} />
+              <MetricRows analysis={region} rule={rule} />
+            </>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import './RegionControls.css';
+
+const REGION_TOOLS = [
+  { id: 'rect', label: 'Rectangle' },
+  { id: 'lasso', label: 'Lasso' }
+];
+
+export default function RegionControls({ tool, onToolChange, hasRegion, onClear, disabled }) {
+  return (
+    <div className="region-controls">
+      <span className="region-label label">Region</span>
+      <div className="region-options">
+        {REGION_TOOLS.map((option) => (
+          <button
+            key={option.id}
+            className={`region-button ${tool === option.id ? 'active' : ''}`}
+            onClick={() => onToolChange(tool === option.id ? 'none' : option.id)}
+            disabled={disabled}
+          >
+            {option.label}
+          </button>
+        ))}
+        {hasRegion && (
+          <button className="region-button" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      {tool !== 'none' && (
+        <span className="region-hint">Drag on the frame to select a region</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState, useRef } from 'react';
+import { createRectRegion, createLassoRegion, regionToSvgPoints } from '../utils/regions';
+import './RegionSelector.css';
+
+// Skip lasso points closer than this to the previous one (normalized units)
+const LASSO_POINT_SPACING = 0.005;
+
+export default function RegionSelector({ tool, region, onComplete }) {
+  const [draft, setDraft] = useState(null);
+  const svgRef = useRef(null);
+  // Set when a drag ends: the click that follows pointerup arrives after the
+  // tool has been reset, so `active` cannot be used to swallow it
+  const justDrewRef = useRef(false);
+  const active = tool !== 'none';
+
+  const getPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return [
+      Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    ];
+  };
+
+  const handlePointerDown = (e) => {
+    if (!active) return;
+    e.stopPropagation();
+    justDrewRef.current = false;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = getPoint(e);
+    setDraft(tool === 'rect'
+      ? { start: point, region: createRectRegion(point, point) }
+      : { region: createLassoRegion([point]) });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const point = getPoint(e);
+
+    if (tool === 'rect') {
+      setDraft({ ...draft, region: createRectRegion(draft.start, point) });
+      return;
+    }
+
+    const points = draft.region.points;
+    const [lastX, lastY] = points[points.length - 1];
+    if (Math.hypot(point[0] - lastX, point[1] - lastY) >= LASSO_POINT_SPACING) {
+      setDraft({ region: createLassoRegion([...points, point]) });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (!draft) return;
+    e.stopPropagation();
+    justDrewRef.current = true;
+    onComplete(draft.region);
+    setDraft(null);
+  };
+
+  // Keep clicks (including the one ending a drag) from reaching the upload zone
+  const handleClick = (e) => {
+    if (active || justDrewRef.current) {
+      e.stopPropagation();
+    }
+    justDrewRef.current = false;
+  };
+
+  const shown = draft ? draft.region : region;
+
+  return (
+    <svg
+      ref={svgRef}
+      className={`region-selector ${active ? 'active' : ''}`}
+      viewBox="0 0 100 100"
+      preserveAspectRatio="none"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onClick={handleClick}
+    >
+      {shown && (
+        <>
+          {/* Dim everything outside the region */}
+          <path
+            className="region-dim"
+            d={`M0,0 H100 V100 H0 Z M${regionToSvgPoints(shown).replace(/ /g, ' L')} Z`}
+            fillRule="evenodd"
+          />
+          <polygon className="region-outline" points={regionToSvgPoints(shown)} />
+        </>
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,44 @@
+import WaveformPlot from './WaveformPlot';
+import './RgbParade.css';
+
+// Parade channels, left to right, with their trace colors
+const PARADE_CHANNELS = [
+  { key: 'red', label: 'R', color: [235, 80, 70] },
+  { key: 'green', label: 'G', color: [90, 210, 110] },
+  { key: 'blue', label: 'B', color: [90, 140, 240] }
+];
+
+export default function RgbParade({ waveforms }) {
+  if (!waveforms) {
+    return (
+      <div className="rgb-parade card">
+        <span className="feature-label label">RGB Parade</span>
+        <p className="empty-message">Upload an image to draw the parade</p>
+      </div>
+    );
+  }
+
+  const { columns, levels, maxChannel } = waveforms;
+
+  return (
+    <div className="rgb-parade card">
+      <span className="feature-label label">RGB Parade</span>
+
+      <div className="parade-plots">
+        {PARADE_CHANNELS.map((channel, idx) => (
+          <div key={channel.key} className="parade-channel">
+            <WaveformPlot
+              grid={waveforms[channel.key]}
+              max={maxChannel}
+              columns={columns}
+              levels={levels}
+              color={channel.color}
+              showScale={idx === 0}
+            />
+            <span className={`parade-label ${channel.key}`}>{channel.label}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import './RuleRanking.css';
+
+// Number of ratio templates listed
+const MAX_LISTED = 5;
+
+export default function RuleRanking({ ranking }) {
+  if (!ranking || ranking.length === 0) {
+    return null;
+  }
+
+  const best = ranking[0];
+
+  return (
+    <div className="rule-ranking card">
+      <span className="feature-label label">Best-Fit Ratio</span>
+
+      <div className="ranking-summary">
+        <span className="ranking-best mono">{best.rule.name}</span>
+        <span className="ranking-description">{best.rule.description}</span>
+      </div>
+
+      <div className="ranking-list">
+        {ranking.slice(0, MAX_LISTED).map((fit, idx) => (
+          <div key={fit.rule.id} className={`ranking-item ${idx === 0 ? 'best' : ''}`}>
+            <span className="ranking-name mono">{fit.rule.name}</span>
+            <div className="ranking-bar">
+              <div className="ranking-bar-fill" style={{ width: `${fit.score}%` }} />
+            </div>
+            <span className="ranking-score mono">{fit.score}</span>
+            <span className="ranking-verdict">{fit.verdict}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
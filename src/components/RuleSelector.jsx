@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { COMPOSITION_RULES, createCustomRule } from '../utils/compositionRules';
+import './RuleSelector.css';
+
+export default function RuleSelector({ rule, onChange, auto, onAutoChange }) {
+  const [customText, setCustomText] = useState(
+    rule.id === 'custom' ? rule.targets.join('/') : '45/35/20'
+  );
+  const [customError, setCustomError] = useState(null);
+
+  const applyCustom = () => {
+    try {
+      const targets = customText.split(/[/,\s]+/).filter(Boolean).map(Number);
+      onChange(createCustomRule(targets));
+      onAutoChange(false);
+      setCustomError(null);
+    } catch (err) {
+      setCustomError(err.message);
+    }
+  };
+
+  return (
+    <div className="rule-selector">
+      <span className="rule-label label">Composition Rule</span>
+      <div className="rule-options">
+        <button
+          className={`rule-button ${auto ? 'active' : ''}`}
+          onClick={() => onAutoChange(true)}
+          title="Score against whichever ratio template this frame follows most closely"
+        >
+          Auto (best fit)
+        </button>
+        {Object.values(COMPOSITION_RULES).map((option) => (
+          <button
+            key={option.id}
+            className={`rule-button mono ${!auto && rule.id === option.id ? 'active' : ''}`}
+            onClick={() => {
+              onChange(option);
+              onAutoChange(false);
+            }}
+            title={option.description}
+          >
+            {option.name}
+          </button>
+        ))}
+        <button
+          className={`rule-button ${!auto && rule.id === 'custom' ? 'active' : ''}`}
+          onClick={applyCustom}
+          title="Use the split typed below"
+        >
+          Custom
+        </button>
+      </div>
+      <div className="rule-custom">
+        <input
+          type="text"
+          className="rule-input mono"
+          value={customText}
+          onChange={(e) => setCustomText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && applyCustom()}
+          aria-label="Custom rule targets"
+          placeholder="e.g. 45/35/20"
+        />
+        {customError && <span className="rule-error">{customError}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import VectorscopePlot from './VectorscopePlot';
+import './SkinTone.css';
+
+export default function SkinTone({ skinData, vectorscope }) {
+  if (!skinData || !vectorscope) {
+    return (
+      <div className="skin-tone card">
+        <span className="feature-label label">Skin Tones</span>
+        <p className="empty-message">Upload an image to analyze skin tones</p>
+      </div>
+    );
+  }
+
+  // Average skin chroma, placed on the scope from its angle and magnitude
+  const skinRadians = skinData.detected ? (skinData.vectorAngle * Math.PI) / 180 : 0;
+  const marker = skinData.detected
+    ? {
+        cb: skinData.vectorMagnitude * Math.cos(skinRadians),
+        cr: skinData.vectorMagnitude * Math.sin(skinRadians),
+        title: `Average skin · ${Math.round(skinData.vectorAngle)}°`
+      }
+    : null;
+
+  return (
+    <div className="skin-tone card">
+      <span className="feature-label label">Skin Tones</span>
+
+      <div className="skin-result">
+        {skinData.detected && (
+          <div className="skin-swatch" style={{ backgroundColor: skinData.hex }} />
+        )}
+        <div className="skin-details">
+          <span className="skin-verdict">{skinData.verdict}</span>
+          <span className="skin-description">{skinData.description}</span>
+        </div>
+      </div>
+
+      {/* Vectorscope: chroma of every pixel, skin highlighted */}
+      <VectorscopePlot vectorscope={vectorscope} showHighlight marker={marker} />
+
+      {skinData.detected ? (
+        <div className="skin-stats">
+          <div className="skin-stat">
+            <span className="skin-stat-value mono">{skinData.percentage.toFixed(1)}%</span>
+            <span className="skin-stat-label label">Of Frame</span>
+          </div>
+          <div className="skin-stat">
+            <span className="skin-stat-value mono">{skinData.hsl[0]}° / {skinData.hsl[1]}%</span>
+            <span className="skin-stat-label label">Hue / Sat</span>
+          </div>
+          <div className="skin-stat">
+            <span className="skin-stat-value mono">
+              {skinData.lineDeviation > 0 ? '+' : ''}{skinData.lineDeviation.toFixed(1)}°
+            </span>
+            <span className="skin-stat-label label">From I-Line</span>
+          </div>
+        </div>
+      ) : (
+        <span className="skin-note">No skin-tone area large enough to measure</span>
+      )}
+    </div>
+  );
+}
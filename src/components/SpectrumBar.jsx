@@ -1,18 +1,22 @@
+import { COMPOSITION_RULES, DEFAULT_RULE_ID } from '../utils/compositionRules';
 import './SpectrumBar.css';
 
-export default function SpectrumBar({ colors, showIdealComparison = false }) {
-  // Ideal 60/30/10 distribution for comparison
-  const idealDistribution = [
-    { percentage: 60, label: '60%' },
-    { percentage: 30, label: '30%' },
-    { percentage: 10, label: '10%' },
-  ];
+export default function SpectrumBar({
+  colors,
+  showIdealComparison = false,
+  rule = COMPOSITION_RULES[DEFAULT_RULE_ID]
+}) {
+  // Ideal distribution of the selected rule for comparison
+  const idealDistribution = rule.targets.map((target, idx) => ({
+    percentage: target,
+    label: `${rule.roles[idx]}: ${target}%`,
+  }));
 
   return (
     <div className="spectrum-bar-container">
       {showIdealComparison && (
         <div className="comparison-row">
-          <span className="bar-label label">Ideal 60/30/10</span>
+          <span className="bar-label label">Ideal {rule.name}</span>
           <div className="spectrum-bar ideal-bar">
             {idealDistribution.map((segment, idx) => (
               <div
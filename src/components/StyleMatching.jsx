@@ -1,8 +1,7 @@
-import { getTopMatches } from '../utils/cinematographerStyles';
 import './StyleMatching.css';
 
-export default function StyleMatching({ analysis }) {
-  if (!analysis || !analysis.colors || analysis.colors.length === 0) {
+export default function StyleMatching({ matches: allMatches }) {
+  if (!allMatches || allMatches.length === 0) {
     return (
       <div className="style-matching card">
         <span className="feature-label label">Cinematographer Style Matching</span>
@@ -11,7 +10,7 @@ export default function StyleMatching({ analysis }) {
     );
   }
 
-  const matches = getTopMatches(analysis, 3);
+  const matches = allMatches.slice(0, 3);
   const topMatch = matches[0];
 
   return (
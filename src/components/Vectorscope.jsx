@@ -0,0 +1,25 @@
+import VectorscopePlot from './VectorscopePlot';
+import './Vectorscope.css';
+
+export default function Vectorscope({ vectorscope }) {
+  if (!vectorscope) {
+    return (
+      <div className="vectorscope-card card">
+        <span className="feature-label label">Vectorscope</span>
+        <p className="empty-message">Upload an image to draw the vectorscope</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="vectorscope-card card">
+      <span className="feature-label label">Vectorscope</span>
+
+      <VectorscopePlot vectorscope={vectorscope} />
+
+      <span className="vectorscope-legend">
+        Boxes mark the 75% color bars; the dashed line is the skin-tone line
+      </span>
+    </div>
+  );
+}
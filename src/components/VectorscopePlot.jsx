@@ -0,0 +1,90 @@
+import { useRef, useEffect } from 'react';
+import { VECTORSCOPE_TARGETS, SKIN_TONE_LINE_ANGLE } from '../utils/videoScopes';
+import './VectorscopePlot.css';
+
+/**
+ * Convert a chroma pair to a point in the 0-100 SVG viewBox
+ * +Cb points right and +Cr points up, as on a hardware vectorscope.
+ */
+function scopePoint(cb, cr) {
+  return [(cb + 0.5) * 100, (0.5 - cr) * 100];
+}
+
+/**
+ * Paint the frame's chroma density, optionally with highlighted pixels in gold
+ * Counts are log-scaled so sparse colors stay visible next to dense ones.
+ */
+function paintVectorscope(canvas, vectorscope, showHighlight) {
+  const { size, density, highlight, maxDensity, maxHighlight } = vectorscope;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(size, size);
+  const densityScale = maxDensity > 0 ? 1 / Math.log1p(maxDensity) : 0;
+  const highlightScale = maxHighlight > 0 ? 1 / Math.log1p(maxHighlight) : 0;
+
+  for (let cell = 0; cell < size * size; cell++) {
+    const offset = cell * 4;
+    const marked = showHighlight && highlight ? Math.log1p(highlight[cell]) * highlightScale : 0;
+    if (marked > 0) {
+      image.data[offset] = 201;
+      image.data[offset + 1] = 162;
+      image.data[offset + 2] = 39;
+      image.data[offset + 3] = 80 + marked * 175;
+      continue;
+    }
+    const level = Math.log1p(density[cell]) * densityScale;
+    image.data[offset] = 232;
+    image.data[offset + 1] = 230;
+    image.data[offset + 2] = 227;
+    image.data[offset + 3] = level > 0 ? 40 + level * 180 : 0;
+  }
+
+  ctx.putImageData(image, 0, 0);
+}
+
+export default function VectorscopePlot({ vectorscope, showHighlight = false, marker = null }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (canvasRef.current) {
+      paintVectorscope(canvasRef.current, vectorscope, showHighlight);
+    }
+  }, [vectorscope, showHighlight]);
+
+  const lineRadians = (SKIN_TONE_LINE_ANGLE * Math.PI) / 180;
+  const [lineX, lineY] = scopePoint(0.5 * Math.cos(lineRadians), 0.5 * Math.sin(lineRadians));
+  const markerPoint = marker ? scopePoint(marker.cb, marker.cr) : null;
+
+  return (
+    <div className="vectorscope">
+      <canvas
+        ref={canvasRef}
+        className="vectorscope-canvas"
+        width={vectorscope.size}
+        height={vectorscope.size}
+      />
+      <svg viewBox="0 0 100 100" className="vectorscope-graticule">
+        <circle cx="50" cy="50" r="50" className="graticule-ring" />
+        <line x1="0" y1="50" x2="100" y2="50" className="graticule-axis" />
+        <line x1="50" y1="0" x2="50" y2="100" className="graticule-axis" />
+        <line x1="50" y1="50" x2={lineX} y2={lineY} className="skin-line" />
+
+        {/* 75% color-bar targets */}
+        {VECTORSCOPE_TARGETS.map(target => {
+          const [x, y] = scopePoint(target.cb, target.cr);
+          return (
+            <g key={target.label}>
+              <rect x={x - 3} y={y - 3} width="6" height="6" className="graticule-target" />
+              <text x={x} y={y - 4.5} className="graticule-label">{target.label}</text>
+            </g>
+          );
+        })}
+
+        {markerPoint && (
+          <circle cx={markerPoint[0]} cy={markerPoint[1]} r="2.5" className="vectorscope-marker">
+            <title>{marker.title}</title>
+          </circle>
+        )}
+      </svg>
+    </div>
+  );
+}
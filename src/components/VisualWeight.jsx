@@ -1,6 +1,7 @@
+import { WEIGHT_MODELS } from '../utils/visualWeight';
 import './VisualWeight.css';
 
-export default function VisualWeight({ weightData }) {
+export default function VisualWeight({ weightData, weightModel, onWeightModelChange, disabled }) {
   if (!weightData) {
     return (
       <div className="visual-weight card">
@@ -23,6 +24,22 @@ export default function VisualWeight({ weightData }) {
     <div className="visual-weight card">
       <span className="feature-label label">Visual Weight Distribution</span>
 
+      <div className="weight-model">
+        <label className="weight-model-label label" htmlFor="weight-model-select">Model</label>
+        <select
+          id="weight-model-select"
+          className="weight-model-select"
+          value={weightModel}
+          onChange={(e) => onWeightModelChange(e.target.value)}
+          disabled={disabled}
+          title={WEIGHT_MODELS[weightModel].description}
+        >
+          {Object.entries(WEIGHT_MODELS).map(([id, model]) => (
+            <option key={id} value={id}>{model.name}</option>
+          ))}
+        </select>
+      </div>
+
       <div className="weight-result">
         <div className="weight-score">{balanceScore}</div>
         <div className="weight-details">
@@ -0,0 +1,41 @@
+import WaveformPlot from './WaveformPlot';
+import './Waveform.css';
+
+// Luma trace color
+const LUMA_TRACE = [232, 230, 227];
+
+export default function Waveform({ waveforms }) {
+  if (!waveforms) {
+    return (
+      <div className="waveform card">
+        <span className="feature-label label">Luma Waveform</span>
+        <p className="empty-message">Upload an image to draw the waveform</p>
+      </div>
+    );
+  }
+
+  const { columns, levels, luma, maxLuma, lumaRange } = waveforms;
+
+  return (
+    <div className="waveform card">
+      <span className="feature-label label">Luma Waveform</span>
+
+      <WaveformPlot
+        grid={luma}
+        max={maxLuma}
+        columns={columns}
+        levels={levels}
+        color={LUMA_TRACE}
+      />
+
+      <div className="waveform-stats">
+        <span className="waveform-stat">
+          Black <span className="mono">{lumaRange.min.toFixed(0)} IRE</span>
+        </span>
+        <span className="waveform-stat">
+          Peak <span className="mono">{lumaRange.max.toFixed(0)} IRE</span>
+        </span>
+      </div>
+    </div>
+  );
+}
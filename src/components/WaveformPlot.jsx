@@ -0,0 +1,66 @@
+import { useRef, useEffect } from 'react';
+import './WaveformPlot.css';
+
+// IRE levels drawn as graticule lines, with the labelled ones
+const IRE_LINES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+const IRE_LABELS = [0, 50, 100];
+
+/**
+ * Paint a column-by-level density grid in a single trace color
+ * Counts are log-scaled so thin traces stay visible next to dense ones.
+ */
+function paintWaveform(canvas, grid, max, [r, g, b]) {
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(canvas.width, canvas.height);
+  const scale = max > 0 ? 1 / Math.log1p(max) : 0;
+
+  for (let cell = 0; cell < grid.length; cell++) {
+    if (grid[cell] === 0) continue;
+    const offset = cell * 4;
+    image.data[offset] = r;
+    image.data[offset + 1] = g;
+    image.data[offset + 2] = b;
+    image.data[offset + 3] = 50 + Math.log1p(grid[cell]) * scale * 205;
+  }
+
+  ctx.putImageData(image, 0, 0);
+}
+
+export default function WaveformPlot({ grid, max, columns, levels, color, showScale = true }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (canvasRef.current) {
+      paintWaveform(canvasRef.current, grid, max, color);
+    }
+  }, [grid, max, color]);
+
+  return (
+    <div className={`waveform-plot ${showScale ? 'with-scale' : ''}`}>
+      {showScale && (
+        <div className="waveform-scale">
+          {IRE_LABELS.map(ire => (
+            <span key={ire} className="waveform-scale-label mono" style={{ top: `${100 - ire}%` }}>
+              {ire}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="waveform-area">
+        <canvas ref={canvasRef} className="waveform-canvas" width={columns} height={levels} />
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="waveform-graticule">
+          {IRE_LINES.map(ire => (
+            <line
+              key={ire}
+              x1="0"
+              y1={100 - ire}
+              x2="100"
+              y2={100 - ire}
+              className={`graticule-line ${IRE_LABELS.includes(ire) ? 'major' : ''}`}
+            />
+          ))}
+        </svg>
+      </div>
+    </div>
+  );
+}
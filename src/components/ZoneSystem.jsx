@@ -1,6 +1,29 @@
+import { TRANSFER_FUNCTIONS } from '../utils/zoneSystem';
+import { ZONE_FALSE_COLORS } from '../utils/overlays';
+import { getClippingWarnings } from '../utils/clipping';
 import './ZoneSystem.css';
 
-export default function ZoneSystem({ zoneData }) {
+/**
+ * Format stops with an explicit sign, e.g. "+1.5", "0", "−3"
+ */
+function formatStops(stops) {
+  const rounded = Math.round(stops * 10) / 10;
+  if (rounded === 0) return '0';
+  return rounded > 0 ? `+${rounded}` : `−${Math.abs(rounded)}`;
+}
+
+export default function ZoneSystem({
+  zoneData,
+  transferFunction,
+  onTransferFunctionChange,
+  disabled,
+  selectedZone,
+  onZoneSelect,
+  falseColor,
+  clipping,
+  clippingThresholds,
+  onClippingThresholdsChange
+}) {
   if (!zoneData) {
     return (
       <div className="zone-system card">
@@ -14,6 +37,7 @@ export default function ZoneSystem({ zoneData }) {
     zones,
     peakZone,
     dynamicRange,
+    stopRange,
     shadowPercentage,
     midtonePercentage,
     highlightPercentage,
@@ -21,33 +45,72 @@ export default function ZoneSystem({ zoneData }) {
     characterDescription
   } = zoneData;
 
+  const warnings = clipping ? getClippingWarnings(clipping, clippingThresholds) : [];
+
+  const updateThreshold = (type, value) => {
+    const threshold = Number(value);
+    if (value === '' || !Number.isFinite(threshold) || threshold < 0) return;
+    onClippingThresholdsChange({ ...clippingThresholds, [type]: threshold });
+  };
+
   // Find max percentage for scaling bars
   const maxPercentage = Math.max(...zones.map(z => z.percentage));
 
   return (
     <div className="zone-system card">
-      <span className="feature-label label">Zone System Mapping</span>
+      <div className="zone-header">
+        <span className="feature-label label">Zone System Mapping</span>
+        {warnings.length > 0 && (
+          <span className="clipping-badge" title={warnings.map(w => w.message).join('\n')}>
+            Clipping: {warnings.map(w => w.type).join(' + ')}
+          </span>
+        )}
+      </div>
+
+      <div className="zone-transfer">
+        <label className="zone-transfer-label label" htmlFor="zone-transfer-select">Transfer</label>
+        <select
+          id="zone-transfer-select"
+          className="zone-transfer-select"
+          value={transferFunction}
+          onChange={(e) => onTransferFunctionChange(e.target.value)}
+          disabled={disabled}
+          title={TRANSFER_FUNCTIONS[transferFunction].description}
+        >
+          {Object.entries(TRANSFER_FUNCTIONS).map(([id, transfer]) => (
+            <option key={id} value={id}>{transfer.name}</option>
+          ))}
+        </select>
+      </div>
 
       <div className="zone-character">
         <span className="character-name">{character}</span>
         <span className="character-description">{characterDescription}</span>
       </div>
 
-      {/* Zone histogram */}
+      {/* Zone histogram; click a bar to isolate that zone on the frame */}
       <div className="zone-histogram">
         {zones.map((zone) => (
-          <div key={zone.zone} className="zone-bar-container">
+          <button
+            key={zone.zone}
+            type="button"
+            className={`zone-bar-container ${selectedZone === zone.zone ? 'selected' : ''}`}
+            onClick={() => onZoneSelect(zone.zone)}
+            title={`${zone.name} (${formatStops(zone.stops)} stops): ${zone.percentage.toFixed(1)}%`}
+            aria-pressed={selectedZone === zone.zone}
+          >
             <div
               className={`zone-bar ${zone.type}`}
               style={{
-                height: `${maxPercentage > 0 ? (zone.percentage / maxPercentage) * 100 : 0}%`
+                height: `${maxPercentage > 0 ? (zone.percentage / maxPercentage) * 100 : 0}%`,
+                background: falseColor ? `rgb(${ZONE_FALSE_COLORS[zone.zone].join(', ')})` : undefined
               }}
-              title={`${zone.name}: ${zone.percentage.toFixed(1)}%`}
             />
-            <span className="zone-label">{zone.zone}</span>
-          </div>
+            <span className="zone-label">{formatStops(zone.stops)}</span>
+          </button>
         ))}
       </div>
+      <span className="zone-axis-label">Stops from middle gray (Zone V = 18%, Zone X = display white)</span>
 
       {/* Tonal distribution summary */}
       <div className="tonal-distribution">
@@ -75,14 +138,78 @@ export default function ZoneSystem({ zoneData }) {
       {/* Stats */}
       <div className="zone-stats">
         <div className="zone-stat">
-          <span className="stat-value mono">{dynamicRange}</span>
-          <span className="stat-label label">Dynamic Range</span>
+          <span className="stat-value mono">{dynamicRange.toFixed(1)}</span>
+          <span className="stat-label label">Stops of Range</span>
         </div>
         <div className="zone-stat">
           <span className="stat-value mono">{peakZone.zone}</span>
           <span className="stat-label label">Peak Zone</span>
         </div>
+        <div className="zone-stat">
+          <span className="stat-value mono">
+            {stopRange.low.toFixed(1)} / {stopRange.high > 0 ? '+' : ''}{stopRange.high.toFixed(1)}
+          </span>
+          <span className="stat-label label">Darkest / Lightest</span>
+        </div>
       </div>
+
+      {/* Per-channel clipping */}
+      {clipping && (
+        <div className="clipping-section">
+          <table className="clipping-table">
+            <thead>
+              <tr>
+                <th className="label">Clipped</th>
+                <th className="label">R</th>
+                <th className="label">G</th>
+                <th className="label">B</th>
+                <th className="label">Any</th>
+              </tr>
+            </thead>
+            <tbody>
+              {['highlights', 'shadows'].map(type => (
+                <tr key={type} className={warnings.some(w => w.type === type) ? 'warning' : ''}>
+                  <td className="clipping-type">{type === 'highlights' ? 'At 255' : 'At 0'}</td>
+                  {['red', 'green', 'blue'].map(channel => (
+                    <td key={channel} className="mono">{clipping.channels[channel][type].toFixed(1)}%</td>
+                  ))}
+                  <td className="mono">{clipping[type].toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="clipping-thresholds">
+            <span className="clipping-thresholds-label label">Warn above</span>
+            <label className="clipping-threshold">
+              Highlights
+              <input
+                type="number"
+                className="clipping-input"
+                min="0"
+                max="100"
+                step="0.5"
+                value={clippingThresholds.highlights}
+                onChange={(e) => updateThreshold('highlights', e.target.value)}
+              />
+              %
+            </label>
+            <label className="clipping-threshold">
+              Shadows
+              <input
+                type="number"
+                className="clipping-input"
+                min="0"
+                max="100"
+                step="0.5"
+                value={clippingThresholds.shadows}
+                onChange={(e) => updateThreshold('shadows', e.target.value)}
+              />
+              %
+            </label>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,75 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { analyzeImage } from '../utils/analysisClient';
+
+/**
+ * Track one worker-backed analysis run at a time
+ * Starting a new run or calling cancel() terminates the previous worker,
+ * and results from cancelled runs never reach state.
+ * @param {Function} task - Worker task called as task(input, { options, onProgress, signal })
+ * @returns {Object} { result, running, progress, error, run, cancel, reset, setResult }
+ */
+export function useAnalysis(task = analyzeImage) {
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Cancel any running analysis when the component unmounts
+  useEffect(() => {
+    return () => {
+      if (controllerRef.current) {
+        controllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const cancel = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+    setRunning(false);
+  }, []);
+
+  const run = useCallback(async (input, options) => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setResult(null);
+    setRunning(true);
+    setProgress(null);
+    setError(null);
+
+    try {
+      // Run the work in a worker so the UI stays responsive
+      const analysis = await task(input, {
+        options,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      setResult(analysis);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.error('Analysis failed:', err);
+      setError(err);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setRunning(false);
+      }
+    }
+  }, [task]);
+
+  const reset = useCallback(() => {
+    cancel();
+    setResult(null);
+    setProgress(null);
+    setError(null);
+  }, [cancel]);
+
+  return { result, running, progress, error, run, cancel, reset, setResult };
+}
@@ -0,0 +1,97 @@
+/**
+ * Analysis Client
+ * Main-thread wrapper that runs the analysis pipeline in a Web Worker
+ */
+
+/**
+ * Create the error thrown when an analysis is cancelled
+ * @returns {Error} Error with name 'AbortError'
+ */
+function createAbortError() {
+  const error = new Error('Analysis cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Post a task to a dedicated worker
+ * Aborting the signal terminates the worker immediately.
+ * @param {Object} message - Task message for the analysis worker
+ * @param {Object} config - { onProgress, signal }
+ * @returns {Promise<Object>} Promise resolving to the task result
+ */
+function runWorkerTask(message, { onProgress = () => {}, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const worker = new Worker(
+      new URL('../workers/analysisWorker.js', import.meta.url),
+      { type: 'module' }
+    );
+
+    const handleAbort = () => {
+      cleanup();
+      reject(createAbortError());
+    };
+
+    const cleanup = () => {
+      worker.terminate();
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+    };
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      switch (message.type) {
+        case 'progress':
+          onProgress(message.progress);
+          break;
+        case 'result':
+          cleanup();
+          resolve(message.result);
+          break;
+        case 'error':
+          cleanup();
+          reject(new Error(message.message));
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'Analysis worker failed'));
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', handleAbort);
+    }
+
+    worker.postMessage(message);
+  });
+}
+
+/**
+ * Analyze an image in a dedicated worker
+ * @param {string} imageSrc - Image source URL
+ * @param {Object} config - { options, onProgress, signal }
+ * @returns {Promise<Object>} Promise resolving to the combined analysis results
+ */
+export function analyzeImage(imageSrc, { options = {}, onProgress, signal } = {}) {
+  return runWorkerTask({ task: 'analyze', imageSrc, options }, { onProgress, signal });
+}
+
+/**
+ * Compare palette algorithms on an existing analysis in a dedicated worker
+ * @param {Object} analysis - Result of analyzeImage
+ * @param {Object} config - { signal }
+ * @returns {Promise<Object[]>} Promise resolving to the algorithm comparison
+ */
+export function comparePaletteAlgorithms(analysis, { signal } = {}) {
+  const { pixels, seed, extractionOptions } = analysis;
+  return runWorkerTask({ task: 'compare', frame: { pixels, seed, extractionOptions } }, { signal });
+}
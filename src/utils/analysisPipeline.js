@@ -0,0 +1,197 @@
+/**
+ * Analysis Pipeline
+ * Runs every analyzer over a decoded frame, reporting progress per stage
+ */
+
+import {
+  extractColors,
+  rankCompositionRules,
+  resolveExtractionOptions,
+  PALETTE_ALGORITHMS
+} from './colorExtraction';
+import { analyzeColorHarmony } from './colorHarmony';
+import { analyzeZoneSystem } from './zoneSystem';
+import { analyzeClipping } from './clipping';
+import { analyzeContrast } from './contrastAnalysis';
+import { analyzeVisualWeight } from './visualWeight';
+import { analyzeSpatialCoherence } from './spatialCoherence';
+import { analyzeSkinTone } from './skinTone';
+import { buildVectorscope, buildWaveforms } from './videoScopes';
+import { decodeFrame, ANALYSIS_RESOLUTIONS } from './imageLoader';
+import { rgbToHsl } from './colorUtils';
+
+/**
+ * Pipeline stages in execution order
+ * Stages with an `option` only run when that pipeline option is set.
+ */
+export const ANALYSIS_STAGES = [
+  { id: 'decode', label: 'Decoding frame' },
+  { id: 'palette', label: 'Extracting palette' },
+  { id: 'spatial', label: 'Locating palette colors' },
+  { id: 'compare', label: 'Comparing palette algorithms', option: 'compareAlgorithms' },
+  { id: 'zones', label: 'Mapping zones and clipping' },
+  { id: 'contrast', label: 'Measuring contrast and haze' },
+  { id: 'weight', label: 'Weighing composition' },
+  { id: 'harmony', label: 'Reading color harmony' },
+  { id: 'skin', label: 'Finding skin tones' },
+  { id: 'scopes', label: 'Drawing video scopes' }
+];
+
+/**
+ * Extract a palette with every algorithm for side-by-side comparison
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {Object} extractionOptions - Resolved extraction options
+ * @param {number} seed - Seed every algorithm runs with
+ * @param {Object|null} extraction - Result already computed for the selected algorithm
+ * @returns {Object[]} Array of { algorithm, name, colors }
+ */
+function compareAlgorithms(buffer, extractionOptions, seed, extraction = null) {
+  return Object.entries(PALETTE_ALGORITHMS).map(([id, algorithm]) => {
+    const { colors } = extraction && id === extractionOptions.algorithm
+      ? extraction
+      : extractColors(buffer, { ...extractionOptions, algorithm: id, seed });
+
+    return {
+      algorithm: id,
+      name: algorithm.name,
+      colors
+    };
+  });
+}
+
+/**
+ * Add HSL and spatial statistics to palette colors
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {Object} labels - Label map { data, width, height }
+ * @returns {Object[]} Colors with hsl and spatial
+ */
+function describeColors(colors, labels) {
+  const spatial = analyzeSpatialCoherence(labels, colors);
+  return colors.map(c => ({
+    ...c,
+    hsl: rgbToHsl(c.rgb),
+    spatial: spatial[c.id]
+  }));
+}
+
+/**
+ * Compare palette algorithms on a frame that was already analyzed
+ * Reuses the analysis buffer and seed, so the rest of the analysis (and any
+ * palette edits or role overrides made on it) stays as it is.
+ * @param {Object} analysis - Result of runAnalysis, with pixels, seed and extractionOptions
+ * @returns {Object[]} Array of { algorithm, name, colors }
+ */
+export function runAlgorithmComparison({ pixels, seed, extractionOptions }) {
+  return compareAlgorithms(pixels, extractionOptions, seed);
+}
+
+/**
+ * Re-run the palette-dependent analyzers after a manual palette edit
+ * Zones and visual weight do not depend on the palette and are kept.
+ * Roles, composition scores and style matches are derived from the result
+ * on the main thread, where role overrides live.
+ * @param {Object} analysis - Result of runAnalysis
+ * @param {Object} edit - Edited palette { colors, labels }
+ * @returns {Object} Updated analysis
+ */
+export function refreshPaletteAnalysis(analysis, edit) {
+  const colors = describeColors(edit.colors, edit.labels);
+
+  return {
+    ...analysis,
+    colors,
+    labels: edit.labels,
+    ruleRanking: rankCompositionRules(colors),
+    harmonyData: analyzeColorHarmony(colors)
+  };
+}
+
+/**
+ * Run the full analysis on an image
+ * Roles, composition scores and style matches depend on the composition
+ * rule and on manual role overrides, so they are derived from the result
+ * on the main thread rather than here.
+ * @param {string} imageSrc - Image source URL
+ * @param {Object} options - Per-analyzer options { extraction, compareAlgorithms, region, autoCrop, transferFunction, weightModel }
+ * @param {Function} onProgress - Called with { stage, label, step, total } as each stage starts
+ * @returns {Promise<Object>} Combined analysis results
+ */
+export async function runAnalysis(imageSrc, options = {}, onProgress = () => {}) {
+  const stages = ANALYSIS_STAGES.filter(stage => !stage.option || options[stage.option]);
+
+  const report = (stageId) => {
+    const step = stages.findIndex(s => s.id === stageId);
+    onProgress({
+      stage: stageId,
+      label: stages[step].label,
+      step: step + 1,
+      total: stages.length
+    });
+  };
+
+  const extractionOptions = resolveExtractionOptions(options.extraction);
+
+  report('decode');
+  const { buffers: frame, borders, bounds } = await decodeFrame(imageSrc, {
+    ...ANALYSIS_RESOLUTIONS,
+    palette: extractionOptions.maxDimension
+  }, {
+    region: options.region || null,
+    autoCrop: options.autoCrop !== false
+  });
+
+  report('palette');
+  const extraction = extractColors(frame.palette, extractionOptions);
+
+  report('spatial');
+  // Add HSL and spatial data to colors for scoring, harmony and style matching
+  const colors = describeColors(extraction.colors, extraction.labels);
+  const ruleRanking = rankCompositionRules(colors);
+
+  let algorithmComparison = null;
+  if (options.compareAlgorithms) {
+    report('compare');
+    algorithmComparison = compareAlgorithms(frame.palette, extractionOptions, extraction.seed, extraction);
+  }
+
+  report('zones');
+  const zoneData = analyzeZoneSystem(frame.zones, options.transferFunction);
+  // Counted at native resolution, mapped onto the zone buffer for the overlay
+  const clippingData = analyzeClipping(frame.clipping, frame.zones);
+
+  report('contrast');
+  const contrastData = analyzeContrast(frame.zones);
+
+  report('weight');
+  const weightData = analyzeVisualWeight(frame.weight, options.weightModel);
+
+  report('harmony');
+  const harmonyData = analyzeColorHarmony(colors);
+
+  report('skin');
+  const skinData = analyzeSkinTone(frame.zones);
+  const vectorscope = buildVectorscope(frame.zones, skinData.mask);
+
+  report('scopes');
+  const waveforms = buildWaveforms(frame.zones);
+
+  return {
+    colors,
+    seed: extraction.seed,
+    extractionOptions,
+    labels: extraction.labels,
+    pixels: frame.palette,
+    ruleRanking,
+    harmonyData,
+    zoneData,
+    clippingData,
+    contrastData,
+    weightData,
+    skinData,
+    vectorscope,
+    waveforms,
+    algorithmComparison,
+    borders,
+    bounds
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Border Detection
+ * Finds letterbox, pillarbox and windowbox bars around the active image
+ * so they can be cropped before analysis
+ */
+
+// Luminance (0-255) at or below which a pixel counts as bar black
+const BAR_LUMINANCE = 24;
+
+// Share of a row or column that must be bar black for it to count as border
+const BAR_COVERAGE = 0.97;
+
+// Borders thinner than this share of the frame are ignored as edge noise
+const MIN_BORDER = 0.01;
+
+// Borders covering more than this share of a dimension mean the frame is just dark
+const MAX_BORDER_TOTAL = 0.6;
+
+// Relative tolerance for snapping a measured ratio to a standard one
+const ASPECT_TOLERANCE = 0.025;
+
+/**
+ * Standard theatrical and broadcast aspect ratios
+ */
+export const STANDARD_ASPECT_RATIOS = [
+  { ratio: 4 / 3, label: '1.33:1', name: 'Full Frame (4:3)' },
+  { ratio: 1.375, label: '1.37:1', name: 'Academy' },
+  { ratio: 1.43, label: '1.43:1', name: 'IMAX' },
+  { ratio: 1.66, label: '1.66:1', name: 'European Widescreen' },
+  { ratio: 16 / 9, label: '1.78:1', name: 'HD (16:9)' },
+  { ratio: 1.85, label: '1.85:1', name: 'Flat' },
+  { ratio: 2, label: '2.00:1', name: 'Univisium' },
+  { ratio: 2.2, label: '2.20:1', name: '70mm' },
+  { ratio: 2.35, label: '2.35:1', name: 'Scope' },
+  { ratio: 2.39, label: '2.39:1', name: 'Scope (DCI)' },
+  { ratio: 2.76, label: '2.76:1', name: 'Ultra Panavision 70' }
+];
+
+/**
+ * Check whether a line of pixels is part of a uniform dark bar
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} start - Offset of the first pixel
+ * @param {number} stride - Offset between consecutive pixels
+ * @param {number} count - Number of pixels in the line
+ * @returns {boolean} True if the line is bar black
+ */
+function isBarLine(data, start, stride, count) {
+  let dark = 0;
+  for (let n = 0, i = start; n < count; n++, i += stride) {
+    const luminance = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    if (luminance <= BAR_LUMINANCE) dark++;
+  }
+  return dark / count >= BAR_COVERAGE;
+}
+
+/**
+ * Count consecutive bar lines from one edge inward
+ * @param {Function} isBar - Called with a line index, returns true for bar lines
+ * @param {number} limit - Number of lines available
+ * @returns {number} Number of bar lines
+ */
+function measureBorder(isBar, limit) {
+  let count = 0;
+  while (count < limit && isBar(count)) count++;
+  return count;
+}
+
+/**
+ * Snap an aspect ratio to the nearest standard format
+ * @param {number} ratio - Width divided by height
+ * @returns {Object} { ratio, label, name }; name is null for non-standard ratios
+ */
+export function describeAspectRatio(ratio) {
+  const nearest = STANDARD_ASPECT_RATIOS.reduce((best, standard) =>
+    Math.abs(standard.ratio - ratio) < Math.abs(best.ratio - ratio) ? standard : best
+  );
+
+  if (Math.abs(nearest.ratio - ratio) / nearest.ratio <= ASPECT_TOLERANCE) {
+    return { ratio, label: nearest.label, name: nearest.name };
+  }
+  return { ratio, label: `${ratio.toFixed(2)}:1`, name: null };
+}
+
+/**
+ * Detect uniform dark borders around the active image
+ * @param {Object} buffer - Full-frame pixel buffer { data, width, height }
+ * @returns {Object} Border widths (0-1 per side), crop bounds, type and active aspect ratio
+ */
+export function detectBorders(buffer) {
+  const { data, width, height } = buffer;
+  const rowStride = width * 4;
+
+  let top = measureBorder(y => isBarLine(data, y * rowStride, 4, width), height);
+  let bottom = measureBorder(
+    y => isBarLine(data, (height - 1 - y) * rowStride, 4, width),
+    height - top
+  );
+  if (top / height < MIN_BORDER) top = 0;
+  if (bottom / height < MIN_BORDER) bottom = 0;
+
+  // A frame that is mostly black is a dark shot, not a letterboxed one.
+  // Settle this before scanning columns so they span the full height when
+  // the rows are discarded
+  if ((top + bottom) / height > MAX_BORDER_TOTAL) {
+    top = 0;
+    bottom = 0;
+  }
+
+  // Scan columns only within the active rows so letterbox bars do not count
+  const activeRows = height - top - bottom;
+  let left = 0;
+  let right = 0;
+  if (activeRows > 0) {
+    left = measureBorder(x => isBarLine(data, top * rowStride + x * 4, rowStride, activeRows), width);
+    right = measureBorder(
+      x => isBarLine(data, top * rowStride + (width - 1 - x) * 4, rowStride, activeRows),
+      width - left
+    );
+  }
+  if (left / width < MIN_BORDER) left = 0;
+  if (right / width < MIN_BORDER) right = 0;
+
+  if ((left + right) / width > MAX_BORDER_TOTAL) {
+    left = 0;
+    right = 0;
+  }
+
+  const hasLetterbox = top > 0 || bottom > 0;
+  const hasPillarbox = left > 0 || right > 0;
+  let type = null;
+  if (hasLetterbox && hasPillarbox) {
+    type = 'Windowbox';
+  } else if (hasLetterbox) {
+    type = 'Letterbox';
+  } else if (hasPillarbox) {
+    type = 'Pillarbox';
+  }
+
+  const crop = {
+    x: left / width,
+    y: top / height,
+    width: (width - left - right) / width,
+    height: (height - top - bottom) / height
+  };
+
+  return {
+    detected: type !== null,
+    type,
+    top: top / height,
+    bottom: bottom / height,
+    left: left / width,
+    right: right / width,
+    crop,
+    aspectRatio: describeAspectRatio((width - left - right) / (height - top - bottom))
+  };
+}
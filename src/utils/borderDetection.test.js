@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { detectBorders } from './borderDetection';
+
+const SIZE = 100;
+
+/**
+ * Build a frame, painting each pixel with the color `paint` returns for it
+ */
+function buildFrame(paint) {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      data.set([...paint(x, y), 255], (y * SIZE + x) * 4);
+    }
+  }
+  return { data, width: SIZE, height: SIZE };
+}
+
+const BLACK = [0, 0, 0];
+const GRAY = [128, 128, 128];
+
+describe('detectBorders', () => {
+  it('finds pillarbox bars in the active rows of a letterboxed frame', () => {
+    const frame = buildFrame((x, y) =>
+      y < 12 || y >= 88 || x < 10 || x >= 90 ? BLACK : GRAY
+    );
+    const borders = detectBorders(frame);
+    expect(borders.type).toBe('Windowbox');
+    expect(borders.left).toBeCloseTo(0.1);
+    expect(borders.top).toBeCloseTo(0.12);
+  });
+
+  it('measures the sides over the full height once a dark frame drops its rows', () => {
+    // Mostly dark shot lit only in a central band, with a thin highlight
+    // down both edges of the dark rows
+    const frame = buildFrame((x, y) => {
+      const darkRow = y < 35 || y >= 65;
+      if (darkRow) return x === 0 || x === SIZE - 1 ? GRAY : BLACK;
+      return x < 10 || x >= 90 ? BLACK : GRAY;
+    });
+    const borders = detectBorders(frame);
+    expect(borders.top).toBe(0);
+    expect(borders.bottom).toBe(0);
+    expect(borders.left).toBe(0);
+    expect(borders.right).toBe(0);
+    expect(borders.detected).toBe(false);
+  });
+});
@@ -122,6 +122,41 @@ const CINEMATOGRAPHER_PROFILES = [
   }
 ];
 
+/**
+ * Measured ranges for each contrastPreference, in contrast analysis units:
+ * rms and haze in percent, localContrast on the 0-100 index
+ */
+const CONTRAST_PREFERENCES = {
+  low: { rms: [0, 16] },
+  medium: { rms: [15, 25] },
+  natural: { rms: [14, 24], haze: [0, 45] },
+  high: { rms: [22, 100] },
+  dramatic: { rms: [26, 100], localContrast: [50, 100] },
+  theatrical: { rms: [20, 100], haze: [0, 30] },
+  atmospheric: { rms: [0, 24], haze: [35, 100] }
+};
+
+// Distance outside a preferred range over which credit falls to zero
+const CONTRAST_FALLOFF = 15;
+
+/**
+ * Score how well measured contrast fits a contrast preference
+ * @param {Object} contrastData - Result of analyzeContrast
+ * @param {string} preference - Profile contrastPreference
+ * @returns {number} Credit from 0-1
+ */
+function scoreContrastPreference(contrastData, preference) {
+  const ranges = CONTRAST_PREFERENCES[preference];
+  if (!ranges) return 0;
+
+  const credits = Object.entries(ranges).map(([metric, [min, max]]) => {
+    const value = contrastData[metric];
+    const distance = value < min ? min - value : value > max ? value - max : 0;
+    return Math.max(0, 1 - distance / CONTRAST_FALLOFF);
+  });
+  return credits.reduce((sum, c) => sum + c, 0) / credits.length;
+}
+
 /**
  * Calculate match score between image analysis and cinematographer profile
  */
@@ -129,9 +164,9 @@ function calculateMatchScore(analysis, profile) {
   let score = 0;
   let factors = 0;
 
-  const { colors, harmony, zoneData, weightData } = analysis;
+  const { colors, harmony, zoneData, weightData, contrastData } = analysis;
 
-  // 1. Saturation match (weight: 25%)
+  // 1. Saturation match (weight: 20%)
   if (colors && colors.length > 0) {
     const avgSaturation = colors.slice(0, 3).reduce((sum, c) => {
       const [, s] = c.hsl || [0, 0, 0];
@@ -150,7 +185,7 @@ function calculateMatchScore(analysis, profile) {
     factors++;
   }
 
-  // 2. Harmony type match (weight: 25%)
+  // 2. Harmony type match (weight: 20%)
   if (harmony) {
     if (profile.style.harmonyTypes.includes(harmony.type)) {
       score += 25;
@@ -160,7 +195,7 @@ function calculateMatchScore(analysis, profile) {
     factors++;
   }
 
-  // 3. Zone character match (weight: 25%)
+  // 3. Zone character match (weight: 20%)
   if (zoneData) {
     if (profile.style.zoneCharacters.includes(zoneData.character)) {
       score += 25;
@@ -170,7 +205,7 @@ function calculateMatchScore(analysis, profile) {
     factors++;
   }
 
-  // 4. Dominant hue match (weight: 25%)
+  // 4. Dominant hue match (weight: 20%)
   if (colors && colors.length > 0 && colors[0].hsl) {
     const dominantHue = colors[0].hsl[0];
     const hueMatches = profile.style.dominantHueRanges.some(([min, max]) => {
@@ -185,6 +220,12 @@ function calculateMatchScore(analysis, profile) {
     factors++;
   }
 
+  // 5. Contrast preference match (weight: 20%)
+  if (contrastData) {
+    score += 8 + 17 * scoreContrastPreference(contrastData, profile.style.contrastPreference);
+    factors++;
+  }
+
   return factors > 0 ? Math.round(score / factors * 4) : 0;
 }
 
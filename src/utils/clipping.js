@@ -0,0 +1,129 @@
+/**
+ * Clipping Detection
+ * Flags blown highlights and crushed shadows per channel. A pixel counts as
+ * clipped as soon as any one channel hits the end of the code range, since
+ * a single clipped channel already shifts hue and loses detail.
+ */
+
+// Code values treated as clipped
+const HIGHLIGHT_CODE = 255;
+const SHADOW_CODE = 0;
+
+// Clip map flags
+export const CLIP_HIGHLIGHT = 1;
+export const CLIP_SHADOW = 2;
+
+/**
+ * Default warning thresholds, as a percentage of the frame
+ */
+export const DEFAULT_CLIPPING_THRESHOLDS = {
+  highlights: 1,
+  shadows: 2
+};
+
+const CHANNELS = ['red', 'green', 'blue'];
+
+/**
+ * Analyze a decoded frame for clipped channels
+ * Counts are taken on the buffer as given, which should be at (or near)
+ * native resolution; the clip map can be smaller, in which case a map
+ * pixel is flagged when any frame pixel under it clips.
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {Object} mapSize - Clip map size { width, height }, the buffer's own by default
+ * @returns {Object} { channels, highlights, shadows, fullHighlights, fullShadows, clipMap }
+ *   where channels holds { highlights, shadows } percentages per channel, highlights
+ *   and shadows count pixels with any channel clipped, and the full variants count
+ *   pixels with every channel clipped
+ */
+export function analyzeClipping(buffer, mapSize = buffer) {
+  const { data, width, height } = buffer;
+  const mapWidth = mapSize.width;
+  const mapHeight = mapSize.height;
+  const clipMap = new Uint8Array(mapWidth * mapHeight);
+  // Frame column and row to clip map cell
+  const mapColumns = Array.from({ length: width }, (_, x) => Math.floor((x * mapWidth) / width));
+  const mapRows = Array.from({ length: height }, (_, y) => Math.floor((y * mapHeight) / height) * mapWidth);
+  const highCounts = [0, 0, 0];
+  const lowCounts = [0, 0, 0];
+  let anyHigh = 0;
+  let anyLow = 0;
+  let allHigh = 0;
+  let allLow = 0;
+  let totalPixels = 0;
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+    totalPixels++;
+    const cell = mapRows[Math.floor(idx / width)] + mapColumns[idx % width];
+
+    let high = 0;
+    let low = 0;
+    for (let ch = 0; ch < 3; ch++) {
+      if (data[i + ch] >= HIGHLIGHT_CODE) {
+        highCounts[ch]++;
+        high++;
+      } else if (data[i + ch] <= SHADOW_CODE) {
+        lowCounts[ch]++;
+        low++;
+      }
+    }
+
+    if (high > 0) {
+      anyHigh++;
+      clipMap[cell] |= CLIP_HIGHLIGHT;
+    }
+    if (low > 0) {
+      anyLow++;
+      clipMap[cell] |= CLIP_SHADOW;
+    }
+    if (high === 3) allHigh++;
+    if (low === 3) allLow++;
+  }
+
+  const toPercent = (count) => (totalPixels > 0 ? (count / totalPixels) * 100 : 0);
+  const channels = {};
+  CHANNELS.forEach((name, ch) => {
+    channels[name] = {
+      highlights: toPercent(highCounts[ch]),
+      shadows: toPercent(lowCounts[ch])
+    };
+  });
+
+  return {
+    channels,
+    highlights: toPercent(anyHigh),
+    shadows: toPercent(anyLow),
+    fullHighlights: toPercent(allHigh),
+    fullShadows: toPercent(allLow),
+    clipMap: { data: clipMap, width: mapWidth, height: mapHeight }
+  };
+}
+
+/**
+ * List the clipping warnings raised by a frame
+ * @param {Object} clipping - Result of analyzeClipping
+ * @param {Object} thresholds - Percentages { highlights, shadows } above which to warn
+ * @returns {Object[]} Array of { type, percentage, threshold, message }
+ */
+export function getClippingWarnings(clipping, thresholds = DEFAULT_CLIPPING_THRESHOLDS) {
+  const warnings = [];
+
+  if (clipping.highlights > thresholds.highlights) {
+    warnings.push({
+      type: 'highlights',
+      percentage: clipping.highlights,
+      threshold: thresholds.highlights,
+      message: `Blown highlights: ${clipping.highlights.toFixed(1)}% of pixels clip a channel at 255`
+    });
+  }
+  if (clipping.shadows > thresholds.shadows) {
+    warnings.push({
+      type: 'shadows',
+      percentage: clipping.shadows,
+      threshold: thresholds.shadows,
+      message: `Crushed shadows: ${clipping.shadows.toFixed(1)}% of pixels clip a channel at 0`
+    });
+  }
+
+  return warnings;
+}
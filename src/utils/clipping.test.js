@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeClipping, getClippingWarnings, CLIP_HIGHLIGHT } from './clipping';
+
+/**
+ * Build a gray frame with a few blown pixels
+ */
+function buildFrame(width, height, blown) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set([128, 128, 128, 255], i);
+  }
+  blown.forEach(([x, y]) => data.set([255, 255, 255, 255], (y * width + x) * 4));
+  return { data, width, height };
+}
+
+describe('analyzeClipping', () => {
+  it('counts clipped pixels on the full buffer', () => {
+    const frame = buildFrame(100, 100, [[10, 10], [50, 50], [90, 90]]);
+    const clipping = analyzeClipping(frame);
+    expect(clipping.highlights).toBeCloseTo(0.03);
+    expect(clipping.fullHighlights).toBeCloseTo(0.03);
+    expect(clipping.channels.red.highlights).toBeCloseTo(0.03);
+  });
+
+  it('flags a clip map cell when any pixel under it clips', () => {
+    const frame = buildFrame(100, 100, [[51, 53]]);
+    const { clipMap } = analyzeClipping(frame, { width: 10, height: 10 });
+    expect(clipMap.width).toBe(10);
+    expect(clipMap.data[5 * 10 + 5] & CLIP_HIGHLIGHT).toBeTruthy();
+    expect(Array.from(clipMap.data).filter(Boolean)).toHaveLength(1);
+  });
+
+  it('warns once clipping passes the threshold', () => {
+    const blown = Array.from({ length: 200 }, (_, i) => [i % 100, Math.floor(i / 100)]);
+    const warnings = getClippingWarnings(analyzeClipping(buildFrame(100, 100, blown)));
+    expect(warnings.map(w => w.type)).toEqual(['highlights']);
+  });
+});
@@ -1,18 +1,143 @@
 /**
- * K-means clustering for dominant color extraction
- * Prioritizes vibrant/saturated colors over neutrals
+ * Dominant color extraction
+ * K-means clustering by default, with median cut, octree and histogram
+ * quantizers as alternatives. Prioritizes vibrant/saturated colors over
+ * neutrals. Clusters in RGB or in a perceptual space (CIELAB, OKLab).
  */
 
-import { colorDistance, rgbToHex, rgbToHsl } from './colorUtils';
+import {
+  colorDistance,
+  deltaE2000,
+  deltaEOK,
+  labToRgb,
+  oklabToRgb,
+  rgbToHex,
+  rgbToHsl,
+  rgbToLab,
+  rgbToOklab
+} from './colorUtils';
+import { createRandom, hashPixels } from './random';
+import { medianCut, octreeQuantize, histogramPeaks } from './quantization';
+import {
+  DEFAULT_RULE_ID,
+  RATIO_TEMPLATES,
+  resolveCompositionRule,
+  getCompositionVerdict
+} from './compositionRules';
 
-const MAX_DIMENSION = 400;
-const SAMPLE_STEP = 4; // Sample every 4th pixel
-const K_CLUSTERS = 12; // More clusters to capture accent colors
-const MAX_ITERATIONS = 25;
-const CONVERGENCE_THRESHOLD = 1;
+/**
+ * Default extraction options
+ * minColorDistance and convergenceThreshold fall back to the
+ * color space's own values when left undefined.
+ */
+export const DEFAULT_EXTRACTION_OPTIONS = {
+  maxDimension: 400,
+  sampleStep: 4, // Sample every 4th pixel
+  clusters: 12, // More clusters to capture accent colors
+  maxIterations: 25,
+  convergenceThreshold: undefined,
+  minColorDistance: undefined,
+  colorCount: 5,
+  maxNeutrals: 1, // Only allow 1 neutral in top results
+  vibrancyBoost: 3, // Up to 4x importance for very vibrant colors
+  neutralPenalty: 0.3,
+  colorSpace: 'rgb',
+  algorithm: 'kmeans'
+};
+
+/**
+ * Accepted range of each numeric extraction option
+ * Out-of-range values are clamped; values that are not numbers fall back
+ * to the default.
+ */
+export const EXTRACTION_OPTION_LIMITS = {
+  maxDimension: { min: 100, max: 1000, integer: true },
+  sampleStep: { min: 1, max: 16, integer: true },
+  clusters: { min: 4, max: 24, integer: true },
+  maxIterations: { min: 5, max: 50, integer: true },
+  convergenceThreshold: { min: 0, max: Infinity },
+  minColorDistance: { min: 0, max: Infinity },
+  colorCount: { min: 3, max: 8, integer: true },
+  maxNeutrals: { min: 0, max: 8, integer: true },
+  vibrancyBoost: { min: 0, max: 6 },
+  neutralPenalty: { min: 0, max: 1 }
+};
 
-// Minimum distance between colors to be considered "different"
-const MIN_COLOR_DISTANCE = 50;
+/**
+ * Clamp a numeric extraction option to its accepted range
+ * @param {string} key - Option name in EXTRACTION_OPTION_LIMITS
+ * @param {*} value - Requested value
+ * @returns {number|undefined} Clamped value, or the default when value is not a finite number
+ */
+export function clampExtractionOption(key, value) {
+  const limits = EXTRACTION_OPTION_LIMITS[key];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return DEFAULT_EXTRACTION_OPTIONS[key];
+  }
+  const clamped = Math.max(limits.min, Math.min(limits.max, value));
+  return limits.integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Label for pixels that belong to no palette color (transparent, or in a
+ * cluster that was filtered out of the final palette)
+ */
+export const UNASSIGNED_LABEL = 255;
+
+/**
+ * Named option presets
+ */
+export const EXTRACTION_PRESETS = {
+  vibrant: {
+    name: 'Vibrant Accents',
+    description: 'Boosts saturated colors so small accents surface',
+    options: { ...DEFAULT_EXTRACTION_OPTIONS }
+  },
+  faithful: {
+    name: 'Faithful Coverage',
+    description: 'Ranks colors by pixel share alone, neutrals included',
+    options: {
+      ...DEFAULT_EXTRACTION_OPTIONS,
+      maxNeutrals: 5,
+      vibrancyBoost: 0,
+      neutralPenalty: 1
+    }
+  }
+};
+
+/**
+ * Color spaces the extraction can cluster and merge in
+ * K-means uses Euclidean distance on each space's coordinates, while
+ * merging and filtering use the space's own difference metric. For the
+ * perceptual spaces minColorDistance is therefore a Delta E threshold.
+ */
+export const COLOR_SPACES = {
+  rgb: {
+    name: 'RGB',
+    fromRgb: (rgb) => rgb,
+    toRgb: (coords) => coords,
+    difference: colorDistance,
+    // Minimum distance between colors to be considered "different"
+    minColorDistance: 50,
+    convergenceThreshold: 1
+  },
+  lab: {
+    name: 'CIELAB',
+    fromRgb: rgbToLab,
+    toRgb: labToRgb,
+    difference: deltaE2000,
+    minColorDistance: 12, // Delta E 2000
+    convergenceThreshold: 0.5
+  },
+  oklab: {
+    name: 'OKLab',
+    fromRgb: rgbToOklab,
+    toRgb: oklabToRgb,
+    difference: deltaEOK,
+    minColorDistance: 12, // Delta E OK (x100)
+    convergenceThreshold: 0.005
+  }
+};
 
 /**
  * Calculate color "vibrancy" score - prioritizes saturated, non-neutral colors
@@ -45,34 +170,21 @@ function isNeutral(rgb) {
 }
 
 /**
- * Extract pixel data from an image
- * @param {HTMLImageElement} image - The image element
+ * Sample opaque pixels from a pixel buffer
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {number} sampleStep - Sample every Nth pixel
  * @returns {number[][]} Array of [r, g, b] pixel values
  */
-function getPixelData(image) {
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-
-  // Scale down for performance
-  let width = image.naturalWidth;
-  let height = image.naturalHeight;
-  const scale = Math.min(MAX_DIMENSION / width, MAX_DIMENSION / height, 1);
-  width = Math.floor(width * scale);
-  height = Math.floor(height * scale);
-
-  canvas.width = width;
-  canvas.height = height;
-  ctx.drawImage(image, 0, 0, width, height);
-
-  const imageData = ctx.getImageData(0, 0, width, height);
+function samplePixels(buffer, sampleStep) {
+  const { data } = buffer;
   const pixels = [];
 
-  // Sample every SAMPLE_STEP pixel
-  for (let i = 0; i < imageData.data.length; i += 4 * SAMPLE_STEP) {
-    const r = imageData.data[i];
-    const g = imageData.data[i + 1];
-    const b = imageData.data[i + 2];
-    const a = imageData.data[i + 3];
+  // Sample every sampleStep pixel
+  for (let i = 0; i < data.length; i += 4 * sampleStep) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const a = data[i + 3];
 
     // Skip transparent pixels
     if (a > 128) {
@@ -85,50 +197,55 @@ function getPixelData(image) {
 
 /**
  * Initialize centroids using k-means++ algorithm for better spread
- * @param {number[][]} pixels - Array of pixel values
+ * @param {number[][]} points - Pixel coordinates in the clustering space
+ * @param {number[]} vibrancies - Vibrancy score of each pixel
  * @param {number} k - Number of clusters
+ * @param {Function} random - Seeded random number generator
+ * @param {boolean} preferVibrant - Bias seeding toward vibrant pixels
  * @returns {number[][]} Initial centroid positions
  */
-function initializeCentroidsPlusPlus(pixels, k) {
+function initializeCentroidsPlusPlus(points, vibrancies, k, random, preferVibrant) {
   const centroids = [];
 
   // Pick first centroid randomly, but prefer a vibrant pixel
-  const vibrantPixels = pixels.filter(p => getVibrancy(p) > 0.3);
-  const startPool = vibrantPixels.length > 100 ? vibrantPixels : pixels;
-  const firstIdx = Math.floor(Math.random() * startPool.length);
+  const vibrantPoints = preferVibrant
+    ? points.filter((_, idx) => vibrancies[idx] > 0.3)
+    : [];
+  const startPool = vibrantPoints.length > 100 ? vibrantPoints : points;
+  const firstIdx = Math.floor(random() * startPool.length);
   centroids.push([...startPool[firstIdx]]);
 
   // Pick remaining centroids with probability proportional to distance squared
   for (let i = 1; i < k; i++) {
-    const distances = pixels.map(pixel => {
+    const distances = points.map((point, idx) => {
       // Find minimum distance to any existing centroid
       let minDist = Infinity;
       for (const centroid of centroids) {
-        const dist = colorDistance(pixel, centroid);
+        const dist = colorDistance(point, centroid);
         if (dist < minDist) minDist = dist;
       }
       // Boost probability for vibrant colors
-      const vibrancyBoost = 1 + getVibrancy(pixel) * 2;
+      const vibrancyBoost = preferVibrant ? 1 + vibrancies[idx] * 2 : 1;
       return minDist * minDist * vibrancyBoost;
     });
 
     // Calculate cumulative distribution
     const totalDist = distances.reduce((a, b) => a + b, 0);
-    const threshold = Math.random() * totalDist;
+    const threshold = random() * totalDist;
 
     let cumulative = 0;
-    for (let j = 0; j < pixels.length; j++) {
+    for (let j = 0; j < points.length; j++) {
       cumulative += distances[j];
       if (cumulative >= threshold) {
-        centroids.push([...pixels[j]]);
+        centroids.push([...points[j]]);
         break;
       }
     }
 
     // Fallback if we didn't pick one
     if (centroids.length <= i) {
-      const idx = Math.floor(Math.random() * pixels.length);
-      centroids.push([...pixels[idx]]);
+      const idx = Math.floor(random() * points.length);
+      centroids.push([...points[idx]]);
     }
   }
 
@@ -137,17 +254,17 @@ function initializeCentroidsPlusPlus(pixels, k) {
 
 /**
  * Assign each pixel to the nearest centroid
- * @param {number[][]} pixels - Array of pixel values
+ * @param {number[][]} points - Pixel coordinates in the clustering space
  * @param {number[][]} centroids - Current centroid positions
  * @returns {number[]} Array of cluster assignments
  */
-function assignClusters(pixels, centroids) {
-  return pixels.map((pixel) => {
+function assignClusters(points, centroids) {
+  return points.map((point) => {
     let minDist = Infinity;
     let cluster = 0;
 
     centroids.forEach((centroid, idx) => {
-      const dist = colorDistance(pixel, centroid);
+      const dist = colorDistance(point, centroid);
       if (dist < minDist) {
         minDist = dist;
         cluster = idx;
@@ -160,20 +277,20 @@ function assignClusters(pixels, centroids) {
 
 /**
  * Update centroids based on assigned pixels
- * @param {number[][]} pixels - Array of pixel values
+ * @param {number[][]} points - Pixel coordinates in the clustering space
  * @param {number[]} assignments - Cluster assignments
  * @param {number} k - Number of clusters
  * @returns {number[][]} New centroid positions
  */
-function updateCentroids(pixels, assignments, k) {
+function updateCentroids(points, assignments, k) {
   const sums = Array.from({ length: k }, () => [0, 0, 0]);
   const counts = Array.from({ length: k }, () => 0);
 
-  pixels.forEach((pixel, idx) => {
+  points.forEach((point, idx) => {
     const cluster = assignments[idx];
-    sums[cluster][0] += pixel[0];
-    sums[cluster][1] += pixel[1];
-    sums[cluster][2] += pixel[2];
+    sums[cluster][0] += point[0];
+    sums[cluster][1] += point[1];
+    sums[cluster][2] += point[2];
     counts[cluster]++;
   });
 
@@ -187,11 +304,12 @@ function updateCentroids(pixels, assignments, k) {
  * Check if centroids have converged
  * @param {number[][]} oldCentroids - Previous centroid positions
  * @param {number[][]} newCentroids - New centroid positions
+ * @param {number} threshold - Maximum centroid movement considered converged
  * @returns {boolean} True if converged
  */
-function hasConverged(oldCentroids, newCentroids) {
+function hasConverged(oldCentroids, newCentroids, threshold) {
   return oldCentroids.every((old, idx) => {
-    return colorDistance(old, newCentroids[idx]) < CONVERGENCE_THRESHOLD;
+    return colorDistance(old, newCentroids[idx]) < threshold;
   });
 }
 
@@ -200,9 +318,10 @@ function hasConverged(oldCentroids, newCentroids) {
  * Balances pixel count with vibrancy - vibrant colors get boosted even if smaller
  * @param {Object} color - Color object with rgb and count
  * @param {number} totalPixels - Total pixel count
+ * @param {Object} settings - Resolved extraction options
  * @returns {number} Importance score
  */
-function getImportanceScore(color, totalPixels) {
+function getImportanceScore(color, totalPixels, settings) {
   const percentageScore = color.count / totalPixels;
   const vibrancy = getVibrancy(color.rgb);
   const neutral = isNeutral(color.rgb);
@@ -213,12 +332,12 @@ function getImportanceScore(color, totalPixels) {
   // Boost vibrant colors significantly
   // A color with 5% coverage but high vibrancy can compete with 20% neutral
   if (vibrancy > 0.4) {
-    score *= (1 + vibrancy * 3); // Up to 4x boost for very vibrant
+    score *= (1 + vibrancy * settings.vibrancyBoost);
   }
 
   // Penalize neutrals unless they're truly dominant (>40%)
   if (neutral && percentageScore < 0.4) {
-    score *= 0.3;
+    score *= settings.neutralPenalty;
   }
 
   return score;
@@ -228,14 +347,14 @@ function getImportanceScore(color, totalPixels) {
  * Filter colors to ensure minimum distance between them
  * Prioritizes vibrant colors over neutrals
  * @param {Object[]} colors - Sorted array of color objects (by importance)
- * @param {number} minDistance - Minimum color distance required
- * @param {number} targetCount - Target number of distinct colors
+ * @param {Object} space - Color space definition from COLOR_SPACES
+ * @param {Object} settings - Resolved extraction options
  * @returns {Object[]} Filtered colors with sufficient diversity
  */
-function filterDistinctColors(colors, minDistance, targetCount) {
+function filterDistinctColors(colors, space, settings) {
+  const { minColorDistance, colorCount, maxNeutrals } = settings;
   const distinct = [];
   let neutralCount = 0;
-  const maxNeutrals = 1; // Only allow 1 neutral in top results
 
   for (const color of colors) {
     const neutral = isNeutral(color.rgb);
@@ -247,7 +366,7 @@ function filterDistinctColors(colors, minDistance, targetCount) {
 
     // Check if this color is sufficiently different from all selected colors
     const isTooSimilar = distinct.some(selected =>
-      colorDistance(color.rgb, selected.rgb) < minDistance
+      space.difference(color.coords, selected.coords) < minColorDistance
     );
 
     if (!isTooSimilar) {
@@ -256,7 +375,7 @@ function filterDistinctColors(colors, minDistance, targetCount) {
     }
 
     // Stop once we have enough distinct colors
-    if (distinct.length >= targetCount) {
+    if (distinct.length >= colorCount) {
       break;
     }
   }
@@ -267,10 +386,11 @@ function filterDistinctColors(colors, minDistance, targetCount) {
 /**
  * Merge similar colors and redistribute their percentages
  * @param {Object[]} colors - Array of color objects
+ * @param {Object} space - Color space definition from COLOR_SPACES
  * @param {number} minDistance - Minimum distance to be considered different
  * @returns {Object[]} Merged color array
  */
-function mergeSimilarColors(colors, minDistance) {
+function mergeSimilarColors(colors, space, minDistance) {
   const merged = [];
   const used = new Set();
 
@@ -279,30 +399,26 @@ function mergeSimilarColors(colors, minDistance) {
 
     let mergedColor = { ...colors[i] };
     let totalCount = colors[i].count;
-    let weightedR = colors[i].rgb[0] * colors[i].count;
-    let weightedG = colors[i].rgb[1] * colors[i].count;
-    let weightedB = colors[i].rgb[2] * colors[i].count;
+    const weighted = colors[i].coords.map(v => v * colors[i].count);
 
     // Find all similar colors and merge them
     for (let j = i + 1; j < colors.length; j++) {
       if (used.has(j)) continue;
 
-      if (colorDistance(colors[i].rgb, colors[j].rgb) < minDistance) {
+      if (space.difference(colors[i].coords, colors[j].coords) < minDistance) {
         used.add(j);
+        mergedColor.clusterIds = [...mergedColor.clusterIds, ...colors[j].clusterIds];
         totalCount += colors[j].count;
-        weightedR += colors[j].rgb[0] * colors[j].count;
-        weightedG += colors[j].rgb[1] * colors[j].count;
-        weightedB += colors[j].rgb[2] * colors[j].count;
+        colors[j].coords.forEach((v, channel) => {
+          weighted[channel] += v * colors[j].count;
+        });
       }
     }
 
-    // Calculate weighted average color
+    // Calculate weighted average color in the clustering space
     if (totalCount > colors[i].count) {
-      mergedColor.rgb = [
-        Math.round(weightedR / totalCount),
-        Math.round(weightedG / totalCount),
-        Math.round(weightedB / totalCount)
-      ];
+      mergedColor.coords = weighted.map(v => v / totalCount);
+      mergedColor.rgb = space.toRgb(mergedColor.coords).map(Math.round);
       mergedColor.hex = rgbToHex(mergedColor.rgb);
       mergedColor.count = totalCount;
     }
@@ -315,46 +431,102 @@ function mergeSimilarColors(colors, minDistance) {
 }
 
 /**
- * Run k-means clustering on pixel data
- * @param {number[][]} pixels - Array of pixel values
- * @returns {Object[]} Array of { rgb, hex, percentage } objects
+ * Run k-means clustering on pixel coordinates
+ * @param {number[][]} points - Pixel coordinates in the clustering space
+ * @param {number[]} vibrancies - Vibrancy score of each pixel
+ * @param {Object} settings - Resolved extraction options
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object} { centroids, assignments }
  */
-function kMeans(pixels) {
-  if (pixels.length === 0) {
-    return [];
-  }
+function kMeans(points, vibrancies, settings, random) {
+  const { clusters, maxIterations } = settings;
 
   // Use k-means++ initialization for better spread
-  let centroids = initializeCentroidsPlusPlus(pixels, K_CLUSTERS);
+  let centroids = initializeCentroidsPlusPlus(
+    points,
+    vibrancies,
+    clusters,
+    random,
+    settings.vibrancyBoost > 0
+  );
   let assignments;
 
-  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
-    assignments = assignClusters(pixels, centroids);
-    const newCentroids = updateCentroids(pixels, assignments, K_CLUSTERS);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    assignments = assignClusters(points, centroids);
+    const newCentroids = updateCentroids(points, assignments, clusters);
 
-    if (hasConverged(centroids, newCentroids)) {
+    if (hasConverged(centroids, newCentroids, settings.convergenceThreshold)) {
       break;
     }
 
     centroids = newCentroids;
   }
 
+  return { centroids, assignments };
+}
+
+/**
+ * Palette algorithms selectable through the `algorithm` option
+ * Each quantizer returns { centroids, assignments } in the clustering space.
+ */
+export const PALETTE_ALGORITHMS = {
+  kmeans: {
+    name: 'K-Means',
+    quantize: kMeans
+  },
+  'median-cut': {
+    name: 'Median Cut',
+    quantize: (points, vibrancies, settings) => medianCut(points, settings.clusters)
+  },
+  octree: {
+    name: 'Octree',
+    quantize: (points, vibrancies, settings) => octreeQuantize(points, settings.clusters)
+  },
+  histogram: {
+    name: 'Histogram Peaks',
+    quantize: (points, vibrancies, settings) => histogramPeaks(points, settings.clusters)
+  }
+};
+
+/**
+ * Quantize pixels and reduce the clusters to a ranked, distinct palette
+ * @param {number[][]} pixels - Array of [r, g, b] pixel values
+ * @param {Object} space - Color space definition from COLOR_SPACES
+ * @param {Object} settings - Resolved extraction options
+ * @param {Function} random - Seeded random number generator
+ * @returns {Object} { colors, centroids } where each color lists the clusterIds it absorbed
+ */
+function buildPalette(pixels, space, settings, random) {
+  if (pixels.length === 0) {
+    return { colors: [], centroids: [] };
+  }
+
+  const points = pixels.map(space.fromRgb);
+  const vibrancies = pixels.map(getVibrancy);
+  const { quantize } = PALETTE_ALGORITHMS[settings.algorithm];
+  const { centroids, assignments } = quantize(points, vibrancies, settings, random);
+
   // Count pixels per cluster
-  const counts = Array.from({ length: K_CLUSTERS }, () => 0);
+  const counts = Array.from({ length: centroids.length }, () => 0);
   assignments.forEach((cluster) => counts[cluster]++);
 
   const totalPixels = pixels.length;
 
-  // Create color objects with percentages
-  const colors = centroids.map((centroid, idx) => ({
-    rgb: centroid.map(Math.round),
-    hex: rgbToHex(centroid),
-    percentage: (counts[idx] / totalPixels) * 100,
-    count: counts[idx],
-  }));
+  // Create color objects with percentages, dropping clusters that ended up empty
+  const colors = centroids.map((centroid, idx) => {
+    const rgb = space.toRgb(centroid).map(Math.round);
+    return {
+      rgb,
+      hex: rgbToHex(rgb),
+      percentage: (counts[idx] / totalPixels) * 100,
+      count: counts[idx],
+      coords: centroid,
+      clusterIds: [idx],
+    };
+  }).filter(c => c.count > 0);
 
   // Merge very similar colors first
-  const mergedColors = mergeSimilarColors(colors, MIN_COLOR_DISTANCE * 0.5);
+  const mergedColors = mergeSimilarColors(colors, space, settings.minColorDistance * 0.5);
 
   // Recalculate percentages after merging
   const mergedTotal = mergedColors.reduce((sum, c) => sum + c.count, 0);
@@ -364,12 +536,12 @@ function kMeans(pixels) {
 
   // Calculate importance scores and sort by importance (vibrancy-boosted)
   mergedColors.forEach(c => {
-    c.importance = getImportanceScore(c, mergedTotal);
+    c.importance = getImportanceScore(c, mergedTotal, settings);
   });
   mergedColors.sort((a, b) => b.importance - a.importance);
 
   // Filter to get distinct colors, prioritizing vibrant ones
-  const distinctColors = filterDistinctColors(mergedColors, MIN_COLOR_DISTANCE, 5);
+  const distinctColors = filterDistinctColors(mergedColors, space, settings);
 
   // Recalculate percentages to sum to 100% for the distinct colors
   const distinctTotal = distinctColors.reduce((sum, c) => sum + c.count, 0);
@@ -380,59 +552,176 @@ function kMeans(pixels) {
   // Final sort by actual percentage for display
   distinctColors.sort((a, b) => b.percentage - a.percentage);
 
-  return distinctColors;
+  // Palette index doubles as the color's id in the label map
+  distinctColors.forEach((c, idx) => {
+    c.id = idx;
+  });
+
+  return { colors: distinctColors, centroids };
 }
 
 /**
- * Extract dominant colors from an image
- * @param {string} imageSrc - Image source URL
- * @returns {Promise<Object[]>} Promise resolving to array of color objects
+ * Label every pixel with the palette color its nearest cluster belongs to
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {Object[]} colors - Final palette with clusterIds
+ * @param {number[][]} centroids - Raw cluster centers in the clustering space
+ * @param {Object} space - Color space definition from COLOR_SPACES
+ * @returns {Object} Label map { data, width, height }, UNASSIGNED_LABEL where no color applies
  */
-export async function extractColors(imageSrc) {
-  return new Promise((resolve, reject) => {
-    const image = new Image();
-    image.crossOrigin = 'Anonymous';
-
-    image.onload = () => {
-      try {
-        const pixels = getPixelData(image);
-        const colors = kMeans(pixels);
-        resolve(colors);
-      } catch (error) {
-        reject(error);
-      }
-    };
+function labelPixels(buffer, colors, centroids, space) {
+  const { data, width, height } = buffer;
+  const labels = new Uint8Array(width * height).fill(UNASSIGNED_LABEL);
+
+  const clusterToColor = new Array(centroids.length).fill(UNASSIGNED_LABEL);
+  colors.forEach(color => {
+    color.clusterIds.forEach(clusterId => {
+      clusterToColor[clusterId] = color.id;
+    });
+  });
 
-    image.onerror = () => {
-      reject(new Error('Failed to load image'));
-    };
+  // Neighbouring pixels often repeat, so cache the last lookup
+  let lastKey = -1;
+  let lastLabel = UNASSIGNED_LABEL;
+
+  for (let i = 0; i < labels.length; i++) {
+    const offset = i * 4;
+    if (data[offset + 3] <= 128 || centroids.length === 0) continue;
+
+    const key = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+    if (key !== lastKey) {
+      const point = space.fromRgb([data[offset], data[offset + 1], data[offset + 2]]);
+      let minDist = Infinity;
+      let cluster = 0;
+      centroids.forEach((centroid, idx) => {
+        const dist = colorDistance(point, centroid);
+        if (dist < minDist) {
+          minDist = dist;
+          cluster = idx;
+        }
+      });
+      lastKey = key;
+      lastLabel = clusterToColor[cluster];
+    }
+
+    labels[i] = lastLabel;
+  }
+
+  return { data: labels, width, height };
+}
 
-    image.src = imageSrc;
+/**
+ * Recount palette shares from the label map
+ * Clustering only sees sampled pixels; counting every labeled pixel puts
+ * extraction on the same basis palette edits recount on, so an edit only
+ * changes the shares of the colors it touches.
+ * @param {Object[]} colors - Palette colors with id
+ * @param {Object} labels - Label map { data, width, height }
+ * @returns {Object[]} Colors with count and percentage from the label map,
+ *   empty colors removed, sorted by percentage
+ */
+function rebaseShares(colors, labels) {
+  const counts = new Map(colors.map(c => [c.id, 0]));
+  let total = 0;
+  labels.data.forEach(label => {
+    if (!counts.has(label)) return;
+    counts.set(label, counts.get(label) + 1);
+    total++;
   });
+
+  return colors
+    .map(c => ({
+      ...c,
+      count: counts.get(c.id),
+      percentage: total > 0 ? (counts.get(c.id) / total) * 100 : 0
+    }))
+    .filter(c => c.count > 0)
+    .sort((a, b) => b.percentage - a.percentage);
 }
 
 /**
- * Calculate the 60/30/10 composition score
+ * Merge options over the defaults, clamp numeric options to their limits
+ * and fill in color space thresholds
+ * @param {Object} options - Partial extraction options
+ * @returns {Object} Complete extraction options
+ */
+export function resolveExtractionOptions(options = {}) {
+  const settings = { ...DEFAULT_EXTRACTION_OPTIONS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value === undefined) return;
+    settings[key] = EXTRACTION_OPTION_LIMITS[key] ? clampExtractionOption(key, value) : value;
+  });
+
+  const space = COLOR_SPACES[settings.colorSpace];
+  if (!space) {
+    throw new Error(`Unknown color space: ${settings.colorSpace}`);
+  }
+  if (!PALETTE_ALGORITHMS[settings.algorithm]) {
+    throw new Error(`Unknown palette algorithm: ${settings.algorithm}`);
+  }
+
+  if (settings.minColorDistance === undefined) {
+    settings.minColorDistance = space.minColorDistance;
+  }
+  if (settings.convergenceThreshold === undefined) {
+    settings.convergenceThreshold = space.convergenceThreshold;
+  }
+
+  return settings;
+}
+
+/**
+ * Extract dominant colors from a decoded frame
+ * Runs are deterministic: the seed defaults to a hash of the pixel data,
+ * and passing the returned seed back in reproduces the run exactly.
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {Object} options - Overrides for DEFAULT_EXTRACTION_OPTIONS, plus an optional seed
+ * @returns {Object} { colors, seed, labels } where labels maps every pixel to a color id
+ */
+export function extractColors(buffer, options = {}) {
+  const settings = resolveExtractionOptions(options);
+  const space = COLOR_SPACES[settings.colorSpace];
+
+  const seed = options.seed !== undefined ? options.seed >>> 0 : hashPixels(buffer.data);
+  const pixels = samplePixels(buffer, settings.sampleStep);
+  const { colors, centroids } = buildPalette(pixels, space, settings, createRandom(seed));
+  const labels = labelPixels(buffer, colors, centroids, space);
+
+  return { colors: rebaseShares(colors, labels), seed, labels };
+}
+
+/**
+ * Calculate the composition score against a rule (60/30/10 by default)
  * @param {Object[]} colors - Array of color objects with percentages
- * @returns {Object} Score object with score, verdict, and deviations
+ * @param {string|Object} rule - Composition rule id or rule object
+ * @returns {Object} Score object with score, verdict, and deviations; when the
+ *   palette has fewer colors than the rule has tiers, deviations is empty and
+ *   requiredColors holds the number of tiers
  */
-export function calculateCompositionScore(colors) {
-  if (colors.length < 3) {
-    return { score: 0, verdict: 'Insufficient colors', deviations: [] };
+export function calculateCompositionScore(colors, rule = DEFAULT_RULE_ID) {
+  const { targets, roles, tolerance, deviationWeight } = resolveCompositionRule(rule);
+
+  if (colors.length < targets.length) {
+    return {
+      score: 0,
+      verdict: 'Insufficient colors',
+      verdictDescription: `The rule needs ${targets.length} colors, the palette has ${colors.length}`,
+      deviations: [],
+      requiredColors: targets.length
+    };
   }
 
-  const targets = [60, 30, 10];
-  const topThree = colors.slice(0, 3);
+  const tiers = colors.slice(0, targets.length);
 
-  const deviations = topThree.map((color, idx) => {
+  const deviations = tiers.map((color, idx) => {
     const deviation = color.percentage - targets[idx];
     return {
       ...color,
+      role: roles[idx],
       target: targets[idx],
       deviation,
       deviationFormatted:
         deviation >= 0 ? `+${deviation.toFixed(1)}%` : `${deviation.toFixed(1)}%`,
-      withinTolerance: Math.abs(deviation) <= 10,
+      withinTolerance: Math.abs(deviation) <= tolerance,
     };
   });
 
@@ -441,23 +730,9 @@ export function calculateCompositionScore(colors) {
     0
   );
 
-  // Score formula: 100 - (total_deviation * 0.77)
-  const score = Math.max(0, Math.min(100, Math.round(100 - totalDeviation * 0.77)));
-
-  let verdict, verdictDescription;
-  if (score >= 85) {
-    verdict = 'Textbook';
-    verdictDescription = 'Classic balanced composition';
-  } else if (score >= 70) {
-    verdict = 'Harmonious';
-    verdictDescription = 'Well-balanced with intentional variation';
-  } else if (score >= 50) {
-    verdict = 'Expressive';
-    verdictDescription = 'Creative departure from convention';
-  } else {
-    verdict = 'Bold';
-    verdictDescription = 'Deliberately unconventional palette';
-  }
+  // Score formula: 100 - (total_deviation * deviation_weight)
+  const score = Math.max(0, Math.min(100, Math.round(100 - totalDeviation * deviationWeight)));
+  const { verdict, description: verdictDescription } = getCompositionVerdict(score);
 
   return {
     score,
@@ -467,3 +742,33 @@ export function calculateCompositionScore(colors) {
     totalDeviation,
   };
 }
+
+/**
+ * Rank ratio templates by how closely the palette follows them
+ * Uses the same per-tier deviations as calculateCompositionScore, plus any
+ * palette share outside the rule's tiers, so two-tier rules are not
+ * favored just for comparing fewer colors.
+ * @param {Object[]} colors - Array of color objects with percentages
+ * @param {Object[]} templates - Rules to compare against
+ * @returns {Object[]} Array of { rule, score, verdict, totalDeviation }, best fit first
+ */
+export function rankCompositionRules(colors, templates = RATIO_TEMPLATES) {
+  const paletteShare = colors.reduce((sum, c) => sum + c.percentage, 0);
+
+  return templates
+    .filter(rule => colors.length >= rule.targets.length)
+    .map(rule => {
+      const { deviations, totalDeviation } = calculateCompositionScore(colors, rule);
+      const tieredShare = deviations.reduce((sum, d) => sum + d.percentage, 0);
+      const fitDeviation = totalDeviation + Math.max(0, paletteShare - tieredShare);
+      const score = Math.max(0, Math.min(100, Math.round(100 - fitDeviation * rule.deviationWeight)));
+
+      return {
+        rule,
+        score,
+        verdict: getCompositionVerdict(score).verdict,
+        totalDeviation: fitDeviation
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.totalDeviation - b.totalDeviation);
+}
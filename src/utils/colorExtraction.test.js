@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveExtractionOptions,
+  extractColors,
+  calculateCompositionScore,
+  DEFAULT_EXTRACTION_OPTIONS
+} from './colorExtraction';
+
+describe('resolveExtractionOptions', () => {
+  it('clamps numeric options to their limits', () => {
+    const settings = resolveExtractionOptions({
+      sampleStep: 0,
+      clusters: -3,
+      colorCount: 0,
+      maxDimension: 5000,
+      vibrancyBoost: 12
+    });
+    expect(settings.sampleStep).toBe(1);
+    expect(settings.clusters).toBe(4);
+    expect(settings.colorCount).toBe(3);
+    expect(settings.maxDimension).toBe(1000);
+    expect(settings.vibrancyBoost).toBe(6);
+  });
+
+  it('falls back to the defaults for values that are not numbers', () => {
+    const settings = resolveExtractionOptions({ sampleStep: NaN, clusters: '' });
+    expect(settings.sampleStep).toBe(DEFAULT_EXTRACTION_OPTIONS.sampleStep);
+    expect(settings.clusters).toBe(DEFAULT_EXTRACTION_OPTIONS.clusters);
+  });
+
+  it('rounds integer options', () => {
+    expect(resolveExtractionOptions({ sampleStep: 2.6 }).sampleStep).toBe(3);
+  });
+});
+
+describe('extractColors', () => {
+  it('finishes with a sample step of 0', () => {
+    const data = new Uint8ClampedArray(16 * 16 * 4);
+    for (let i = 0; i < data.length; i += 4) {
+      data.set(i < data.length / 2 ? [200, 30, 30, 255] : [20, 40, 200, 255], i);
+    }
+    const { colors } = extractColors({ data, width: 16, height: 16 }, { sampleStep: 0 });
+    expect(colors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('calculateCompositionScore', () => {
+  it('reports how many colors a rule needs when the palette is short', () => {
+    const colors = [
+      { id: 0, rgb: [0, 0, 0], percentage: 70 },
+      { id: 1, rgb: [255, 255, 255], percentage: 30 }
+    ];
+    const scoreData = calculateCompositionScore(colors, '60-30-10');
+    expect(scoreData.deviations).toEqual([]);
+    expect(scoreData.requiredColors).toBe(3);
+    expect(scoreData.verdictDescription).toMatch(/needs 3 colors, the palette has 2/);
+  });
+});
@@ -1,9 +1,10 @@
 /**
  * Color Harmony Analysis
- * Detects complementary, analogous, triadic, split-complementary, and tetradic palettes
+ * Scores achromatic, monochromatic, analogous, complementary,
+ * split-complementary, triadic, tetradic and square schemes
  */
 
-import { rgbToHsl } from './colorUtils';
+import { rgbToHsl, hslToRgb, rgbToHex } from './colorUtils';
 
 /**
  * Normalize hue difference to 0-180 range
@@ -14,136 +15,323 @@ function hueDifference(h1, h2) {
 }
 
 /**
- * Check if two hues are within a tolerance
+ * Weighted circular statistics of a set of hues
+ * Works on the hue circle, so 350° and 10° are 20° apart with a mean of 0°.
+ * @param {Object[]} samples - Array of { hue, weight }
+ * @returns {Object} { mean, variance, deviation, arc } where variance is 0-1,
+ *   deviation is the circular standard deviation in degrees and arc is the
+ *   smallest arc (degrees) containing every hue
  */
-function huesMatch(h1, h2, tolerance = 30) {
-  return hueDifference(h1, h2) <= tolerance;
+export function circularHueStatistics(samples) {
+  const totalWeight = samples.reduce((sum, s) => sum + s.weight, 0);
+  let sumSin = 0;
+  let sumCos = 0;
+  samples.forEach(({ hue, weight }) => {
+    const radians = (hue * Math.PI) / 180;
+    sumSin += weight * Math.sin(radians);
+    sumCos += weight * Math.cos(radians);
+  });
+
+  const resultant = totalWeight > 0 ? Math.hypot(sumSin, sumCos) / totalWeight : 0;
+  const mean = ((Math.atan2(sumSin, sumCos) * 180) / Math.PI + 360) % 360;
+  const deviation = resultant > 0
+    ? (Math.sqrt(-2 * Math.log(resultant)) * 180) / Math.PI
+    : Infinity;
+
+  // The smallest covering arc is the circle minus the largest gap between hues
+  const sorted = samples.map(s => s.hue).sort((a, b) => a - b);
+  let largestGap = 360 - sorted[sorted.length - 1] + sorted[0];
+  for (let i = 1; i < sorted.length; i++) {
+    largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+  }
+
+  return {
+    mean,
+    variance: 1 - resultant,
+    deviation,
+    arc: 360 - largestGap
+  };
 }
 
+// Hue distance (degrees) at which a color stops counting toward a template angle
+const FIT_TOLERANCE = 30;
+
+// Step (degrees) used when searching for the best template rotation
+const ROTATION_STEP = 2;
+
+// Colors below this HSL saturation carry no meaningful hue
+const CHROMATIC_SATURATION = 15;
+
 /**
- * Detect color harmony type from extracted colors
- * @param {Object[]} colors - Array of color objects with rgb property
- * @returns {Object} Harmony analysis result
+ * Harmony schemes fitted by rotating a set of ideal hue angles around the wheel
  */
-export function analyzeColorHarmony(colors) {
-  if (colors.length < 2) {
-    return { type: 'Monochromatic', score: 100, description: 'Single color dominates' };
+export const HARMONY_TEMPLATES = [
+  {
+    type: 'Complementary',
+    angles: [0, 180],
+    description: 'Opposite colors create dynamic contrast'
+  },
+  {
+    type: 'Split-Complementary',
+    angles: [0, 150, 210],
+    description: 'Base color with two adjacent to its complement'
+  },
+  {
+    type: 'Triadic',
+    angles: [0, 120, 240],
+    description: 'Three colors equally spaced on the wheel'
+  },
+  {
+    type: 'Tetradic',
+    angles: [0, 60, 180, 240],
+    description: 'Four colors in rectangular arrangement'
+  },
+  {
+    type: 'Square',
+    angles: [0, 90, 180, 270],
+    description: 'Four colors evenly spaced around the wheel'
+  }
+];
+
+/**
+ * Score how well weighted hues fit a template at one rotation
+ * Fit is the weighted share of color that lands near a template angle;
+ * coverage is the share of template angles that have a color near them.
+ * @param {Object[]} samples - Array of { hue, weight }
+ * @param {number[]} angles - Template angles relative to the rotation
+ * @param {number} rotation - Rotation of the template in degrees
+ * @returns {number} Confidence from 0-1
+ */
+function scoreRotation(samples, angles, rotation) {
+  const totalWeight = samples.reduce((sum, s) => sum + s.weight, 0);
+  const targets = angles.map(a => (rotation + a) % 360);
+  const covered = new Set();
+  let error = 0;
+
+  samples.forEach(({ hue, weight }) => {
+    let nearest = 0;
+    targets.forEach((target, idx) => {
+      if (hueDifference(hue, target) < hueDifference(hue, targets[nearest])) nearest = idx;
+    });
+    const distance = hueDifference(hue, targets[nearest]);
+    if (distance <= FIT_TOLERANCE) covered.add(nearest);
+    error += weight * Math.min(1, distance / FIT_TOLERANCE) ** 2;
+  });
+
+  const fit = 1 - error / totalWeight;
+  const coverage = covered.size / angles.length;
+  return fit * coverage;
+}
+
+/**
+ * Fit weighted hues to a template at its best rotation
+ * @param {Object[]} samples - Array of { hue, weight }
+ * @param {number[]} angles - Template angles relative to the rotation
+ * @returns {Object} { confidence, rotation }
+ */
+function fitTemplate(samples, angles) {
+  let best = { confidence: 0, rotation: 0 };
+
+  for (let rotation = 0; rotation < 360; rotation += ROTATION_STEP) {
+    const confidence = scoreRotation(samples, angles, rotation);
+    if (confidence > best.confidence) {
+      best = { confidence, rotation };
+    }
   }
 
-  // Convert to HSL and get hues of top 3 colors
-  const hslColors = colors.slice(0, 3).map(c => ({
+  return best;
+}
+
+/**
+ * Prepare palette colors for hue analysis
+ * Each color is weighted by pixel share; hue only matters as far as it is saturated.
+ * @param {Object[]} colors - Array of color objects with rgb and percentage
+ * @returns {Object} { hslColors, samples, weightedSaturation, colorfulness }
+ */
+function describeHues(colors) {
+  const hslColors = colors.map(c => ({
     ...c,
     hsl: rgbToHsl(c.rgb)
   }));
 
-  const hues = hslColors.map(c => c.hsl[0]);
-  const saturations = hslColors.map(c => c.hsl[1]);
+  const shareOf = c => (c.percentage !== undefined ? c.percentage : 100 / hslColors.length);
+  const totalShare = hslColors.reduce((sum, c) => sum + shareOf(c), 0);
+  const weightedSaturation = hslColors
+    .reduce((sum, c) => sum + shareOf(c) * c.hsl[1], 0) / totalShare;
 
-  // Check for monochromatic (low saturation or very similar hues)
-  const avgSaturation = saturations.reduce((a, b) => a + b, 0) / saturations.length;
-  if (avgSaturation < 15) {
-    return {
-      type: 'Achromatic',
-      score: 85,
-      description: 'Neutral palette with minimal color',
-      colors: hslColors
-    };
-  }
+  const samples = hslColors
+    .filter(c => c.hsl[1] >= CHROMATIC_SATURATION)
+    .map(c => ({
+      hue: c.hsl[0],
+      weight: shareOf(c) * (c.hsl[1] / 100)
+    }));
+
+  return {
+    hslColors,
+    samples,
+    weightedSaturation,
+    // Hue schemes only count as far as the frame is actually colorful
+    colorfulness: Math.min(1, weightedSaturation / CHROMATIC_SATURATION)
+  };
+}
+
+/**
+ * Score a palette against a harmony template at a chosen rotation
+ * @param {Object[]} colors - Array of color objects with rgb and percentage
+ * @param {number[]} angles - Template angles relative to the rotation
+ * @param {number} rotation - Rotation of the template in degrees
+ * @returns {number} Score from 0-100, on the same scale as analyzeColorHarmony
+ */
+export function scoreTemplateRotation(colors, angles, rotation) {
+  const { samples, colorfulness } = describeHues(colors);
+  if (samples.length === 0) return 0;
+  return Math.round(colorfulness * scoreRotation(samples, angles, rotation) * 100);
+}
 
-  // Check for monochromatic (same hue, different lightness)
-  const hueSpread = Math.max(...hues) - Math.min(...hues);
-  if (hueSpread < 20 || (hueSpread > 340)) {
+/**
+ * Detect color harmony from extracted colors
+ * Every scheme is scored by how closely the palette's hues fit it, with
+ * each color weighted by its pixel share and saturation.
+ * @param {Object[]} colors - Array of color objects with rgb and percentage
+ * @returns {Object} Best harmony { type, score, description, colors } plus ranked
+ *   candidates and the circular hue statistics of the chromatic colors
+ */
+export function analyzeColorHarmony(colors) {
+  if (colors.length < 2) {
     return {
       type: 'Monochromatic',
-      score: 90,
-      description: 'Variations of a single hue',
-      colors: hslColors
+      score: 100,
+      description: 'Single color dominates',
+      candidates: []
     };
   }
 
-  // Get the primary hue (from dominant color)
-  const primaryHue = hues[0];
-
-  // Check for complementary (opposite on color wheel, ~180°)
-  for (let i = 1; i < hues.length; i++) {
-    if (huesMatch(hueDifference(primaryHue, hues[i]), 180, 30)) {
-      return {
-        type: 'Complementary',
-        score: 95,
-        description: 'Opposite colors create dynamic contrast',
-        colors: hslColors
-      };
-    }
-  }
+  const { hslColors, samples, weightedSaturation, colorfulness } = describeHues(colors);
 
-  // Check for triadic (three colors evenly spaced, ~120° apart)
-  if (hues.length >= 3) {
-    const diff1 = hueDifference(hues[0], hues[1]);
-    const diff2 = hueDifference(hues[1], hues[2]);
-    const diff3 = hueDifference(hues[0], hues[2]);
-
-    if (huesMatch(diff1, 120, 30) && huesMatch(diff2, 120, 30) && huesMatch(diff3, 120, 30)) {
-      return {
-        type: 'Triadic',
-        score: 92,
-        description: 'Three colors equally spaced on the wheel',
-        colors: hslColors
-      };
+  const candidates = [
+    {
+      type: 'Achromatic',
+      confidence: Math.max(0, 1 - weightedSaturation / (CHROMATIC_SATURATION * 2)),
+      description: 'Neutral palette with minimal color',
+      rotation: null
     }
-  }
+  ];
 
-  // Check for split-complementary
-  for (let i = 1; i < hues.length; i++) {
-    const diff = hueDifference(primaryHue, hues[i]);
-    if (huesMatch(diff, 150, 20) || huesMatch(diff, 210, 20)) {
-      return {
-        type: 'Split-Complementary',
-        score: 88,
-        description: 'Base color with two adjacent to its complement',
-        colors: hslColors
-      };
-    }
-  }
+  const hueStats = samples.length > 0 ? circularHueStatistics(samples) : null;
 
-  // Check for analogous (adjacent colors, ~30° apart)
-  let analogousCount = 0;
-  for (let i = 1; i < hues.length; i++) {
-    if (hueDifference(primaryHue, hues[i]) <= 60) {
-      analogousCount++;
-    }
-  }
-  if (analogousCount >= hues.length - 1) {
-    return {
+  if (hueStats) {
+    const { arc } = hueStats;
+
+    candidates.push({
+      type: 'Monochromatic',
+      // Weighted spread, so a faint off-hue speck does not break a single-hue frame
+      confidence: colorfulness * Math.max(0, 1 - Math.max(0, hueStats.deviation - 5) / 20),
+      description: 'Variations of a single hue',
+      rotation: hueStats.mean
+    });
+    candidates.push({
       type: 'Analogous',
-      score: 85,
+      confidence: colorfulness * (arc <= 75
+        ? 0.75 + 0.25 * Math.min(1, arc / 30)
+        : Math.max(0, 1 - (arc - 75) / 45)),
       description: 'Adjacent colors create smooth harmony',
-      colors: hslColors
-    };
+      rotation: hueStats.mean
+    });
+
+    HARMONY_TEMPLATES.forEach(template => {
+      const { confidence, rotation } = fitTemplate(samples, template.angles);
+      candidates.push({
+        type: template.type,
+        confidence: colorfulness * confidence,
+        description: template.description,
+        rotation
+      });
+    });
   }
 
-  // Check for tetradic/square (four colors in rectangle pattern)
-  if (hues.length >= 3) {
-    const diff1 = hueDifference(hues[0], hues[1]);
-    const diff2 = hueDifference(hues[0], hues[2]);
-    if (huesMatch(diff1, 90, 20) || huesMatch(diff2, 90, 20)) {
-      return {
-        type: 'Tetradic',
-        score: 82,
-        description: 'Four colors in rectangular arrangement',
-        colors: hslColors
-      };
-    }
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, score: Math.round(candidate.confidence * 100) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const best = ranked[0];
+
+  // No scheme fits convincingly
+  if (best.score < 50) {
+    return {
+      type: 'Complex',
+      score: best.score,
+      description: 'Unique color relationship',
+      colors: hslColors,
+      candidates: ranked,
+      hueStatistics: hueStats
+    };
   }
 
-  // Default: Custom/Complex harmony
   return {
-    type: 'Complex',
-    score: 75,
-    description: 'Unique color relationship',
-    colors: hslColors
+    type: best.type,
+    score: best.score,
+    description: best.description,
+    colors: hslColors,
+    candidates: ranked,
+    hueStatistics: hueStats
   };
 }
 
+/**
+ * Propose the colors that would complete the detected scheme
+ * Target hues with no palette color near them are suggested at the
+ * frame's own weighted saturation and lightness.
+ * @param {Object} harmony - Result of analyzeColorHarmony
+ * @returns {Object[]} Array of { hue, rgb, hex, reason }
+ */
+export function suggestHarmonyColors(harmony) {
+  if (!harmony.colors || !harmony.hueStatistics) {
+    return [];
+  }
+
+  const chromatic = harmony.colors.filter(c => c.hsl[1] >= CHROMATIC_SATURATION);
+  const totalWeight = chromatic.reduce((sum, c) => sum + (c.percentage || 1), 0);
+  const average = (channel) => Math.round(
+    chromatic.reduce((sum, c) => sum + c.hsl[channel] * (c.percentage || 1), 0) / totalWeight
+  );
+  const saturation = average(1);
+  const lightness = average(2);
+
+  const makeSuggestion = (hue, sat, light, reason) => {
+    const normalizedHue = Math.round(((hue % 360) + 360) % 360);
+    const rgb = hslToRgb([normalizedHue, sat, light]);
+    return { hue: normalizedHue, rgb, hex: rgbToHex(rgb), reason };
+  };
+
+  const { mean } = harmony.hueStatistics;
+
+  // A single hue is completed with tonal variations rather than new hues
+  if (harmony.type === 'Monochromatic') {
+    return [
+      makeSuggestion(mean, saturation, Math.min(90, lightness + 25), 'Lighter tint of the base hue'),
+      makeSuggestion(mean, saturation, Math.max(10, lightness - 25), 'Deeper shade of the base hue')
+    ];
+  }
+
+  let targets = [];
+  if (harmony.type === 'Analogous') {
+    targets = [-30, 0, 30].map(offset => mean + offset);
+  } else {
+    const template = HARMONY_TEMPLATES.find(t => t.type === harmony.type);
+    const candidate = harmony.candidates.find(c => c.type === harmony.type);
+    if (!template || !candidate) return [];
+    targets = template.angles.map(angle => candidate.rotation + angle);
+  }
+
+  return targets
+    .filter(target => !chromatic.some(c => hueDifference(c.hsl[0], target) <= FIT_TOLERANCE))
+    .map(target => makeSuggestion(
+      target,
+      saturation,
+      lightness,
+      `Completes the ${harmony.type.toLowerCase()} scheme at ${Math.round(((target % 360) + 360) % 360)}°`
+    ));
+}
+
 /**
  * Get color wheel position description
  */
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { circularHueStatistics, analyzeColorHarmony } from './colorHarmony';
+import { hslToRgb } from './colorUtils';
+
+/**
+ * Build a palette color from a hue at fixed saturation and lightness
+ */
+function hueColor(hue, percentage) {
+  return { rgb: hslToRgb([hue, 80, 50]), percentage };
+}
+
+/**
+ * Smallest angle between two hues in degrees
+ */
+function hueGap(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+describe('circularHueStatistics', () => {
+  it('averages hues across 0° on the circle', () => {
+    const { mean } = circularHueStatistics([
+      { hue: 350, weight: 1 },
+      { hue: 10, weight: 1 }
+    ]);
+    expect(hueGap(mean, 0)).toBeLessThan(1e-6);
+  });
+
+  it('measures the occupied arc across the wrap', () => {
+    const { arc } = circularHueStatistics([
+      { hue: 340, weight: 1 },
+      { hue: 355, weight: 1 },
+      { hue: 15, weight: 1 }
+    ]);
+    expect(arc).toBeCloseTo(35);
+  });
+
+  it('reports the same spread on either side of 0°', () => {
+    const wrapped = circularHueStatistics([
+      { hue: 350, weight: 1 },
+      { hue: 10, weight: 1 }
+    ]);
+    const unwrapped = circularHueStatistics([
+      { hue: 170, weight: 1 },
+      { hue: 190, weight: 1 }
+    ]);
+    expect(wrapped.deviation).toBeCloseTo(unwrapped.deviation);
+    expect(wrapped.arc).toBeCloseTo(unwrapped.arc);
+  });
+});
+
+describe('analyzeColorHarmony', () => {
+  it('classifies reds on both sides of 0° as monochromatic', () => {
+    const harmony = analyzeColorHarmony([
+      hueColor(358, 60),
+      hueColor(2, 40)
+    ]);
+    expect(harmony.type).toBe('Monochromatic');
+    expect(hueGap(harmony.hueStatistics.mean, 0)).toBeLessThan(3);
+  });
+
+  it('classifies neighbouring hues across 0° as analogous', () => {
+    const harmony = analyzeColorHarmony([
+      hueColor(330, 40),
+      hueColor(0, 30),
+      hueColor(30, 30)
+    ]);
+    expect(harmony.type).toBe('Analogous');
+    expect(harmony.hueStatistics.arc).toBeLessThan(75);
+  });
+
+  it('fits split-complementary when the template rotation crosses 360°', () => {
+    // Base at 300°, so the split targets sit at 90° and 150°
+    const harmony = analyzeColorHarmony([
+      hueColor(300, 50),
+      hueColor(90, 25),
+      hueColor(150, 25)
+    ]);
+    const split = harmony.candidates.find(c => c.type === 'Split-Complementary');
+    expect(harmony.type).toBe('Split-Complementary');
+    expect(split.score).toBeGreaterThanOrEqual(70);
+    expect(hueGap(split.rotation, 300)).toBeLessThanOrEqual(4);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Color Role Assignment
+ * Decides which palette color plays which role in a composition rule.
+ * The dominant is the largest field; the accent is the color that reads
+ * as one: saturated, contrasting with the dominant, compact and close to
+ * the visual center of mass. Middle tiers fall back to pixel share.
+ */
+
+import { rgbToLab, deltaE2000 } from './colorUtils';
+import { calculateCompositionScore } from './colorExtraction';
+
+// Relative importance of each accent cue (sums to 1)
+const ACCENT_WEIGHTS = {
+  saturation: 0.3,
+  contrast: 0.3,
+  compactness: 0.2,
+  proximity: 0.2
+};
+
+// Delta E 2000 against the dominant at which contrast counts as full
+const FULL_CONTRAST = 50;
+
+// Accents are small; colors above this share are scaled down as candidates
+const ACCENT_MAX_SHARE = 25;
+
+// Largest possible distance between two points in the 0-100 frame
+const FRAME_DIAGONAL = Math.hypot(100, 100);
+
+/**
+ * Score how strongly a color reads as an accent
+ * @param {Object} color - Palette color with rgb, hsl, percentage and spatial stats
+ * @param {number[]} dominantLab - Lab coordinates of the dominant color
+ * @param {Object|null} centerOfMass - Visual center { x, y } in 0-100 frame percentages
+ * @returns {Object} { score, factors } with each factor in 0-1
+ */
+export function getAccentScore(color, dominantLab, centerOfMass) {
+  const saturation = color.hsl[1] / 100;
+  const contrast = Math.min(1, deltaE2000(rgbToLab(color.rgb), dominantLab) / FULL_CONTRAST);
+  const compactness = color.spatial ? color.spatial.compactness : 0;
+  const proximity = color.spatial && centerOfMass
+    ? 1 - Math.hypot(
+        color.spatial.centroid.x - centerOfMass.x,
+        color.spatial.centroid.y - centerOfMass.y
+      ) / FRAME_DIAGONAL
+    : 0;
+
+  const factors = { saturation, contrast, compactness, proximity };
+  const cueScore = Object.entries(ACCENT_WEIGHTS)
+    .reduce((sum, [cue, weight]) => sum + factors[cue] * weight, 0);
+  const shareFactor = color.percentage > ACCENT_MAX_SHARE
+    ? ACCENT_MAX_SHARE / color.percentage
+    : 1;
+
+  return { score: cueScore * shareFactor, factors };
+}
+
+/**
+ * Assign palette colors to the tiers of a composition rule
+ * @param {Object[]} colors - Palette colors, sorted by percentage
+ * @param {number} tierCount - Number of tiers in the rule
+ * @param {Object|null} centerOfMass - Visual center from analyzeVisualWeight
+ * @returns {Object} { order, accentScores } where order lists color ids by tier, then the rest
+ */
+export function assignColorRoles(colors, tierCount, centerOfMass) {
+  if (colors.length === 0) {
+    return { order: [], accentScores: {} };
+  }
+
+  const [dominant, ...rest] = colors;
+  const dominantLab = rgbToLab(dominant.rgb);
+  const accentScores = {};
+  rest.forEach(color => {
+    accentScores[color.id] = getAccentScore(color, dominantLab, centerOfMass);
+  });
+
+  if (colors.length < tierCount || tierCount < 2) {
+    return { order: colors.map(c => c.id), accentScores };
+  }
+
+  const accent = rest.reduce((best, color) =>
+    accentScores[color.id].score > accentScores[best.id].score ? color : best
+  );
+  const middle = rest.filter(c => c !== accent);
+  const middleTiers = middle.slice(0, tierCount - 2);
+  const unassigned = middle.slice(tierCount - 2);
+
+  return {
+    order: [dominant, ...middleTiers, accent, ...unassigned].map(c => c.id),
+    accentScores
+  };
+}
+
+/**
+ * Reorder palette colors to follow a role order
+ * Colors missing from the order keep their relative position at the end.
+ * @param {Object[]} colors - Palette colors with id
+ * @param {number[]} order - Color ids in role order
+ * @returns {Object[]} Reordered colors
+ */
+export function orderColorsByRole(colors, order) {
+  const byId = new Map(colors.map(c => [c.id, c]));
+  const ordered = order.filter(id => byId.has(id)).map(id => byId.get(id));
+  const remaining = colors.filter(c => !order.includes(c.id));
+  return [...ordered, ...remaining];
+}
+
+/**
+ * Order a palette by role and score it against a composition rule
+ * Every score that depends on roles should start from this, so a manual
+ * role order reaches all of them.
+ * @param {Object[]} colors - Palette colors with id, rgb, hsl, percentage and spatial stats
+ * @param {Object} rule - Resolved composition rule
+ * @param {Object|null} centerOfMass - Visual center { x, y } in 0-100 frame percentages
+ * @param {number[]|null} order - Manual role order; assigned automatically when null
+ * @returns {Object} { order, colors, scoreData } with colors in role order
+ */
+export function scoreColorRoles(colors, rule, centerOfMass, order = null) {
+  const roleOrder = order || assignColorRoles(colors, rule.targets.length, centerOfMass).order;
+  const ordered = orderColorsByRole(colors, roleOrder);
+  return {
+    order: roleOrder,
+    colors: ordered,
+    scoreData: calculateCompositionScore(ordered, rule)
+  };
+}
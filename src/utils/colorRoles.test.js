@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { scoreColorRoles } from './colorRoles';
+import { COMPOSITION_RULES, DEFAULT_RULE_ID } from './compositionRules';
+import { rgbToHsl } from './colorUtils';
+
+const rule = COMPOSITION_RULES[DEFAULT_RULE_ID];
+
+/**
+ * Build a palette color without spatial statistics
+ */
+function paletteColor(id, rgb, percentage) {
+  return { id, rgb, hsl: rgbToHsl(rgb), percentage };
+}
+
+const colors = [
+  paletteColor(0, [40, 60, 90], 60),
+  paletteColor(1, [120, 110, 100], 30),
+  paletteColor(2, [230, 60, 30], 10)
+];
+
+describe('scoreColorRoles', () => {
+  it('assigns roles automatically and scores in role order', () => {
+    const { order, colors: ordered, scoreData } = scoreColorRoles(colors, rule, null);
+    expect(order).toEqual([0, 1, 2]);
+    expect(ordered.map(c => c.id)).toEqual(order);
+    expect(scoreData.score).toBe(100);
+  });
+
+  it('scores a manual role order', () => {
+    const { order, colors: ordered, scoreData } = scoreColorRoles(colors, rule, null, [2, 1, 0]);
+    expect(order).toEqual([2, 1, 0]);
+    expect(ordered[0].id).toBe(2);
+    expect(scoreData.score).toBeLessThan(100);
+  });
+});
@@ -1,5 +1,5 @@
 /**
- * Color utility functions for RGB, Hex, and HSL conversions
+ * Color utility functions for RGB, Hex, HSL, CIELAB and OKLab conversions
  */
 
 /**
@@ -67,6 +67,24 @@ export function rgbToHsl([r, g, b]) {
   return [Math.round(h * 360), Math.round(s * 100), Math.round(l * 100)];
 }
 
+/**
+ * Convert HSL to RGB
+ * @param {number[]} hsl - [h, s, l] array (h: 0-360, s: 0-100, l: 0-100)
+ * @returns {number[]} [r, g, b] array
+ */
+export function hslToRgb([h, s, l]) {
+  s /= 100;
+  l /= 100;
+
+  const chroma = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+
+  return [channel(0), channel(8), channel(4)].map(v => Math.round(v * 255));
+}
+
 /**
  * Calculate Euclidean distance between two RGB colors
  * @param {number[]} rgb1 - First [r, g, b] array
@@ -100,3 +118,244 @@ export function isLightColor([r, g, b]) {
   const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
   return luminance > 0.5;
 }
+
+/**
+ * D65 reference white in XYZ (0-100 scale)
+ */
+const D65_WHITE = [95.047, 100, 108.883];
+
+/**
+ * Convert an 8-bit sRGB channel to linear light
+ * @param {number} channel - Gamma-encoded channel (0-255)
+ * @returns {number} Linear channel (0-1)
+ */
+export function srgbToLinear(channel) {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear-light channel to 8-bit sRGB
+ * @param {number} linear - Linear channel (0-1)
+ * @returns {number} Gamma-encoded channel (0-255, clamped)
+ */
+export function linearToSrgb(linear) {
+  const c = linear <= 0.0031308
+    ? linear * 12.92
+    : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, c * 255));
+}
+
+/**
+ * Convert RGB to CIE XYZ (D65)
+ * @param {number[]} rgb - [r, g, b] array (0-255)
+ * @returns {number[]} [x, y, z] array (0-100 scale)
+ */
+export function rgbToXyz([r, g, b]) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  return [
+    (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) * 100,
+    (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) * 100,
+    (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) * 100
+  ];
+}
+
+/**
+ * Convert CIE XYZ (D65) to RGB
+ * @param {number[]} xyz - [x, y, z] array (0-100 scale)
+ * @returns {number[]} [r, g, b] array (0-255, clamped)
+ */
+export function xyzToRgb([x, y, z]) {
+  x /= 100;
+  y /= 100;
+  z /= 100;
+
+  return [
+    linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+    linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+    linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+  ];
+}
+
+/**
+ * Convert CIE XYZ (D65) to CIELAB
+ * @param {number[]} xyz - [x, y, z] array (0-100 scale)
+ * @returns {number[]} [L, a, b] array (L: 0-100)
+ */
+export function xyzToLab(xyz) {
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const [fx, fy, fz] = xyz.map((v, idx) => f(v / D65_WHITE[idx]));
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert CIELAB to CIE XYZ (D65)
+ * @param {number[]} lab - [L, a, b] array
+ * @returns {number[]} [x, y, z] array (0-100 scale)
+ */
+export function labToXyz([l, a, b]) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+  return [finv(fx), finv(fy), finv(fz)].map((v, idx) => v * D65_WHITE[idx]);
+}
+
+/**
+ * Convert RGB to CIELAB
+ * @param {number[]} rgb - [r, g, b] array (0-255)
+ * @returns {number[]} [L, a, b] array
+ */
+export function rgbToLab(rgb) {
+  return xyzToLab(rgbToXyz(rgb));
+}
+
+/**
+ * Convert CIELAB to RGB
+ * @param {number[]} lab - [L, a, b] array
+ * @returns {number[]} [r, g, b] array (0-255, clamped)
+ */
+export function labToRgb(lab) {
+  return xyzToRgb(labToXyz(lab));
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {number[]} rgb - [r, g, b] array (0-255)
+ * @returns {number[]} [L, a, b] array (L: 0-1)
+ */
+export function rgbToOklab([r, g, b]) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/**
+ * Convert OKLab to RGB
+ * @param {number[]} oklab - [L, a, b] array
+ * @returns {number[]} [r, g, b] array (0-255, clamped)
+ */
+export function oklabToRgb([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return [
+    linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  ];
+}
+
+/**
+ * Convert OKLab to OKLCh
+ * @param {number[]} oklab - [L, a, b] array
+ * @returns {number[]} [L, C, h] array (h: 0-360)
+ */
+export function oklabToOklch([L, a, b]) {
+  const hue = (Math.atan2(b, a) * 180) / Math.PI;
+  return [L, Math.sqrt(a * a + b * b), hue < 0 ? hue + 360 : hue];
+}
+
+/**
+ * Convert OKLCh to OKLab
+ * @param {number[]} oklch - [L, C, h] array (h: 0-360)
+ * @returns {number[]} [L, a, b] array
+ */
+export function oklchToOklab([L, C, h]) {
+  const rad = (h * Math.PI) / 180;
+  return [L, C * Math.cos(rad), C * Math.sin(rad)];
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors
+ * @param {number[]} lab1 - First [L, a, b] array
+ * @param {number[]} lab2 - Second [L, a, b] array
+ * @returns {number} Delta E 2000
+ */
+export function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const avgC = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(avgC, 7) / (Math.pow(avgC, 7) + Math.pow(25, 7))));
+
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+  const hueAngle = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = Math.atan2(b, ap) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const avgLp = (L1 + L2) / 2;
+  const avgCp = (C1p + C2p) / 2;
+
+  let avgHp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) avgHp = (h1p + h2p) / 2;
+    else if (h1p + h2p < 360) avgHp = (h1p + h2p + 360) / 2;
+    else avgHp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((avgHp - 30) * rad)
+    + 0.24 * Math.cos(2 * avgHp * rad)
+    + 0.32 * Math.cos((3 * avgHp + 6) * rad)
+    - 0.20 * Math.cos((4 * avgHp - 63) * rad);
+
+  const dTheta = 30 * Math.exp(-Math.pow((avgHp - 275) / 25, 2));
+  const Rc = 2 * Math.sqrt(Math.pow(avgCp, 7) / (Math.pow(avgCp, 7) + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(avgLp - 50, 2)) / Math.sqrt(20 + Math.pow(avgLp - 50, 2));
+  const Sc = 1 + 0.045 * avgCp;
+  const Sh = 1 + 0.015 * avgCp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) +
+      Math.pow(dCp / Sc, 2) +
+      Math.pow(dHp / Sh, 2) +
+      Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * OKLab color difference, scaled to be comparable with CIELAB Delta E
+ * @param {number[]} oklab1 - First [L, a, b] array
+ * @param {number[]} oklab2 - Second [L, a, b] array
+ * @returns {number} Delta E OK (x100)
+ */
+export function deltaEOK(oklab1, oklab2) {
+  return colorDistance(oklab1, oklab2) * 100;
+}
@@ -0,0 +1,173 @@
+/**
+ * Composition Rules
+ * Target color distributions a palette can be scored against.
+ * Each rule lists its tier targets (percent, largest first), the role
+ * name of each tier, the per-tier tolerance and the deviation weight
+ * used to turn total deviation into a 0-100 score.
+ */
+
+export const DEFAULT_RULE_ID = '60-30-10';
+
+// Role names for custom rules, by number of tiers
+const TIER_ROLES = {
+  2: ['Dominant', 'Accent'],
+  3: ['Dominant', 'Secondary', 'Accent'],
+  4: ['Dominant', 'Secondary', 'Tertiary', 'Accent'],
+  5: ['Dominant', 'Secondary', 'Tertiary', 'Quaternary', 'Accent']
+};
+
+// Score thresholds for verdicts, highest first
+export const COMPOSITION_VERDICTS = [
+  { minScore: 85, verdict: 'Textbook', description: 'Classic balanced composition' },
+  { minScore: 70, verdict: 'Harmonious', description: 'Well-balanced with intentional variation' },
+  { minScore: 50, verdict: 'Expressive', description: 'Creative departure from convention' },
+  { minScore: 0, verdict: 'Bold', description: 'Deliberately unconventional palette' }
+];
+
+/**
+ * Built-in composition rules
+ */
+export const COMPOSITION_RULES = {
+  '60-30-10': {
+    id: '60-30-10',
+    name: '60/30/10',
+    description: 'The classic split: one dominant color, a supporting color and an accent',
+    targets: [60, 30, 10],
+    roles: TIER_ROLES[3],
+    tolerance: 10,
+    deviationWeight: 0.77
+  },
+  '70-20-10': {
+    id: '70-20-10',
+    name: '70/20/10',
+    description: 'A heavier dominant for restrained, near-monochrome frames',
+    targets: [70, 20, 10],
+    roles: TIER_ROLES[3],
+    tolerance: 10,
+    deviationWeight: 0.77
+  },
+  '50-30-20': {
+    id: '50-30-20',
+    name: '50/30/20',
+    description: 'A softer hierarchy with a stronger accent',
+    targets: [50, 30, 20],
+    roles: TIER_ROLES[3],
+    tolerance: 10,
+    deviationWeight: 0.77
+  },
+  '80-20': {
+    id: '80-20',
+    name: '80/20',
+    description: 'Two-color frames: a field and a single accent',
+    targets: [80, 20],
+    roles: TIER_ROLES[2],
+    tolerance: 10,
+    deviationWeight: 0.77
+  },
+  '40-30-20-10': {
+    id: '40-30-20-10',
+    name: '40/30/20/10',
+    description: 'Four tiers for busier, layered palettes',
+    targets: [40, 30, 20, 10],
+    roles: TIER_ROLES[4],
+    tolerance: 10,
+    deviationWeight: 0.77
+  }
+};
+
+/**
+ * Build a rule from its tier targets with the default tolerance and weight
+ */
+function defineRule(id, name, description, targets) {
+  return {
+    id,
+    name,
+    description,
+    targets,
+    roles: TIER_ROLES[targets.length],
+    tolerance: 10,
+    deviationWeight: 0.77
+  };
+}
+
+/**
+ * Ratio templates used for best-fit detection
+ * Includes every built-in rule plus common splits that are not worth a
+ * selector button of their own.
+ */
+export const RATIO_TEMPLATES = [
+  ...Object.values(COMPOSITION_RULES),
+  defineRule('45-45-10', '45/45/10', 'Two co-dominant colors sharing the frame, plus an accent', [45, 45, 10]),
+  defineRule('40-40-20', '40/40/20', 'Two co-dominant colors with a strong accent', [40, 40, 20]),
+  defineRule('50-50', '50/50', 'An even two-color split', [50, 50]),
+  defineRule('90-10', '90/10', 'A single field with a small accent', [90, 10]),
+  defineRule('34-33-33', '34/33/33', 'Three colors in equal measure', [34, 33, 33]),
+  defineRule('50-25-15-10', '50/25/15/10', 'A dominant field over a graded supporting cast', [50, 25, 15, 10])
+];
+
+/**
+ * Create a user-defined rule
+ * @param {number[]} targets - Tier percentages, 2-5 values summing to 100
+ * @param {Object} overrides - Optional { name, tolerance, deviationWeight }
+ * @returns {Object} Composition rule
+ */
+export function createCustomRule(targets, overrides = {}) {
+  if (!Array.isArray(targets) || !TIER_ROLES[targets.length]) {
+    throw new Error('Custom rules need 2 to 5 tiers');
+  }
+  if (targets.some(t => !Number.isFinite(t) || t <= 0)) {
+    throw new Error('Custom rule targets must be positive numbers');
+  }
+  const total = targets.reduce((sum, t) => sum + t, 0);
+  if (Math.abs(total - 100) > 0.5) {
+    throw new Error(`Custom rule targets must sum to 100 (got ${total})`);
+  }
+
+  const sorted = [...targets].sort((a, b) => b - a);
+
+  return {
+    id: 'custom',
+    name: overrides.name || sorted.join('/'),
+    description: 'User-defined split',
+    targets: sorted,
+    roles: TIER_ROLES[sorted.length],
+    tolerance: overrides.tolerance ?? 10,
+    deviationWeight: overrides.deviationWeight ?? 0.77
+  };
+}
+
+/**
+ * Resolve a rule id or rule object to a composition rule
+ * @param {string|Object} rule - Built-in rule id, or a rule object
+ * @returns {Object} Composition rule
+ */
+export function resolveCompositionRule(rule = DEFAULT_RULE_ID) {
+  if (typeof rule === 'string') {
+    if (!COMPOSITION_RULES[rule]) {
+      throw new Error(`Unknown composition rule: ${rule}`);
+    }
+    return COMPOSITION_RULES[rule];
+  }
+  return rule;
+}
+
+/**
+ * Look up the verdict for a composition score
+ * @param {number} score - Score from 0-100
+ * @returns {Object} { verdict, description }
+ */
+export function getCompositionVerdict(score) {
+  const match = COMPOSITION_VERDICTS.find(v => score >= v.minScore);
+  return { verdict: match.verdict, description: match.description };
+}
+
+/**
+ * Describe a rule as a sentence, e.g. "60% dominant, 30% secondary, 10% accent"
+ * @param {Object} rule - Composition rule
+ * @returns {string} Description of the rule's tiers
+ */
+export function describeRuleTargets(rule) {
+  return rule.targets
+    .map((target, idx) => `${target}% ${rule.roles[idx].toLowerCase()}`)
+    .join(', ');
+}
@@ -0,0 +1,278 @@
+/**
+ * Contrast & Texture Analysis
+ * Global contrast (RMS and Michelson), local contrast from a Laplacian
+ * pyramid, and a haze estimate from the dark-channel prior: haze-free
+ * scenes almost always have some pixel with a near-zero channel in every
+ * patch, while haze and atmosphere lift the darkest channel everywhere.
+ */
+
+import { srgbToLinear } from './colorUtils';
+
+// Rec. 709 luma coefficients
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+// Pyramid levels for local contrast, finest first
+const PYRAMID_SCALES = [
+  { id: 'fine', label: 'Fine' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'coarse', label: 'Coarse' }
+];
+
+// Share of pixels (percent) ignored at each end for Michelson contrast
+const MICHELSON_TAIL = 1;
+
+// Dark-channel patch radius as a share of the longer frame side
+const DARK_CHANNEL_RADIUS = 0.02;
+
+// Share of brightest dark-channel pixels used to estimate atmospheric light
+const ATMOSPHERIC_SHARE = 0.001;
+
+// Mean absolute Laplacian (luma units) that maps to ~63 on the 0-100 local
+// contrast index; the index saturates smoothly for noise-like texture
+const LOCAL_CONTRAST_REFERENCE = 0.03;
+
+/**
+ * Contrast characters, checked in order; the first match wins
+ */
+const CONTRAST_CHARACTERS = [
+  {
+    name: 'Atmospheric',
+    description: 'Haze lifts the blacks and softens depth',
+    test: ({ haze, rms }) => haze >= 35 && rms < 24
+  },
+  {
+    name: 'Dramatic',
+    description: 'Hard global contrast with crisp local detail',
+    test: ({ rms, localContrast }) => rms >= 26 && localContrast >= 50
+  },
+  {
+    name: 'High Contrast',
+    description: 'Deep separation between shadows and highlights',
+    test: ({ rms }) => rms >= 24
+  },
+  {
+    name: 'Flat',
+    description: 'Low contrast, compressed tonal separation',
+    test: ({ rms }) => rms < 12
+  },
+  {
+    name: 'Moderate',
+    description: 'Natural contrast with room in both ends',
+    test: () => true
+  }
+];
+
+/**
+ * Build a luma plane from a pixel buffer
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @returns {Object} { luma, linear, mask } where luma is gamma-encoded 0-1,
+ *   linear is linear-light 0-1 and mask marks opaque pixels
+ */
+function buildLumaPlanes(buffer) {
+  const { data, width, height } = buffer;
+  const luma = new Float32Array(width * height);
+  const linear = new Float32Array(width * height);
+  const mask = new Uint8Array(width * height);
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+    mask[idx] = 1;
+    luma[idx] = (LUMA[0] * data[i] + LUMA[1] * data[i + 1] + LUMA[2] * data[i + 2]) / 255;
+    linear[idx] = LUMA[0] * srgbToLinear(data[i]) +
+      LUMA[1] * srgbToLinear(data[i + 1]) +
+      LUMA[2] * srgbToLinear(data[i + 2]);
+  }
+
+  return { luma, linear, mask };
+}
+
+/**
+ * Halve a plane by averaging 2x2 blocks of opaque pixels
+ * @returns {Object} { plane, mask, width, height }
+ */
+function downsample(plane, mask, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const out = new Float32Array(w * h);
+  const outMask = new Uint8Array(w * h);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = 0; dy < 2; dy++) {
+        for (let dx = 0; dx < 2; dx++) {
+          const idx = (y * 2 + dy) * width + x * 2 + dx;
+          if (mask[idx]) {
+            sum += plane[idx];
+            count++;
+          }
+        }
+      }
+      if (count > 0) {
+        out[y * w + x] = sum / count;
+        outMask[y * w + x] = 1;
+      }
+    }
+  }
+
+  return { plane: out, mask: outMask, width: w, height: h };
+}
+
+/**
+ * Mean absolute 4-neighbour Laplacian over fully opaque neighbourhoods
+ * @returns {number} Mean |Laplacian| in luma units
+ */
+function meanLaplacian(plane, mask, width, height) {
+  let sum = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const idx = y * width + x;
+      if (!mask[idx] || !mask[idx - 1] || !mask[idx + 1] ||
+        !mask[idx - width] || !mask[idx + width]) {
+        continue;
+      }
+      const laplacian = 4 * plane[idx] - plane[idx - 1] - plane[idx + 1] -
+        plane[idx - width] - plane[idx + width];
+      sum += Math.abs(laplacian);
+      count++;
+    }
+  }
+
+  return count > 0 ? sum / count : 0;
+}
+
+/**
+ * Separable minimum filter over a square window
+ * @returns {Float32Array} Filtered plane
+ */
+function minFilter(plane, mask, width, height, radius) {
+  const rows = new Float32Array(width * height).fill(1);
+  const out = new Float32Array(width * height).fill(1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let min = 1;
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+        const idx = y * width + k;
+        if (mask[idx] && plane[idx] < min) min = plane[idx];
+      }
+      rows[y * width + x] = min;
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      let min = 1;
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+        const value = rows[k * width + x];
+        if (value < min) min = value;
+      }
+      out[y * width + x] = min;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Estimate haze with the dark-channel prior
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {Uint8Array} mask - Opaque pixel mask
+ * @returns {Object} { haze, atmosphericLight } with haze in 0-100 and light in 0-1
+ */
+function estimateHaze(buffer, mask) {
+  const { data, width, height } = buffer;
+  const minChannel = new Float32Array(width * height);
+  const brightness = new Float32Array(width * height);
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    minChannel[idx] = Math.min(data[i], data[i + 1], data[i + 2]) / 255;
+    brightness[idx] = Math.max(data[i], data[i + 1], data[i + 2]) / 255;
+  }
+
+  const radius = Math.max(1, Math.round(Math.max(width, height) * DARK_CHANNEL_RADIUS));
+  const darkChannel = minFilter(minChannel, mask, width, height, radius);
+
+  // Atmospheric light: brightest pixels among the haziest dark-channel values
+  const opaque = [];
+  for (let idx = 0; idx < darkChannel.length; idx++) {
+    if (mask[idx]) opaque.push(idx);
+  }
+  if (opaque.length === 0) {
+    return { haze: 0, atmosphericLight: 0 };
+  }
+  opaque.sort((a, b) => darkChannel[b] - darkChannel[a]);
+  const candidates = opaque.slice(0, Math.max(1, Math.round(opaque.length * ATMOSPHERIC_SHARE)));
+  const atmosphericLight = Math.max(...candidates.map(idx => brightness[idx]));
+
+  const meanDark = opaque.reduce((sum, idx) => sum + darkChannel[idx], 0) / opaque.length;
+  const haze = atmosphericLight > 0 ? Math.min(1, meanDark / atmosphericLight) : 0;
+
+  return { haze: haze * 100, atmosphericLight };
+}
+
+/**
+ * Analyze a decoded frame for global contrast, local contrast and haze
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @returns {Object} Contrast analysis with metrics in 0-100
+ */
+export function analyzeContrast(buffer) {
+  const { width, height } = buffer;
+  const { luma, linear, mask } = buildLumaPlanes(buffer);
+
+  // RMS contrast: standard deviation of gamma-encoded luma
+  let sum = 0;
+  let sumSquares = 0;
+  const linearValues = [];
+  for (let idx = 0; idx < luma.length; idx++) {
+    if (!mask[idx]) continue;
+    sum += luma[idx];
+    sumSquares += luma[idx] * luma[idx];
+    linearValues.push(linear[idx]);
+  }
+  const count = linearValues.length;
+  const mean = count > 0 ? sum / count : 0;
+  const rms = count > 0 ? Math.sqrt(Math.max(0, sumSquares / count - mean * mean)) : 0;
+
+  // Michelson contrast on linear light, trimming outliers at both ends
+  linearValues.sort((a, b) => a - b);
+  const percentile = (pct) => count > 0
+    ? linearValues[Math.min(count - 1, Math.floor((pct / 100) * count))]
+    : 0;
+  const low = percentile(MICHELSON_TAIL);
+  const high = percentile(100 - MICHELSON_TAIL);
+  const michelson = high + low > 0 ? (high - low) / (high + low) : 0;
+
+  // Local contrast at each pyramid level
+  let level = { plane: luma, mask, width, height };
+  const scales = PYRAMID_SCALES.map((scale, idx) => {
+    if (idx > 0) {
+      level = downsample(level.plane, level.mask, level.width, level.height);
+    }
+    const laplacian = meanLaplacian(level.plane, level.mask, level.width, level.height);
+    return { ...scale, value: 100 * (1 - Math.exp(-laplacian / LOCAL_CONTRAST_REFERENCE)) };
+  });
+  const localContrast = scales.reduce((total, s) => total + s.value, 0) / scales.length;
+
+  const { haze, atmosphericLight } = estimateHaze(buffer, mask);
+
+  const metrics = {
+    rms: rms * 100,
+    michelson: michelson * 100,
+    localContrast,
+    texture: scales[0].value,
+    haze
+  };
+  const character = CONTRAST_CHARACTERS.find(c => c.test(metrics));
+
+  return {
+    ...metrics,
+    scales,
+    atmosphericLight,
+    character: character.name,
+    characterDescription: character.description
+  };
+}
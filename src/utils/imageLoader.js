@@ -0,0 +1,128 @@
+/**
+ * Image loading layer
+ * Decodes a frame once and renders the pixel buffers each analyzer needs.
+ * Uses createImageBitmap and OffscreenCanvas so it runs inside a Web Worker.
+ */
+
+import { getRegionBounds, createRectRegion } from './regions';
+import { detectBorders } from './borderDetection';
+
+/**
+ * Maximum dimension of the pixel buffer handed to each analyzer
+ * Analyzers that share a resolution share the same buffer
+ */
+export const ANALYSIS_RESOLUTIONS = {
+  palette: 400,
+  zones: 400,
+  weight: 200,
+  // Downscaling averages small speculars below 255, so clipping is counted
+  // at native resolution for anything up to this size
+  clipping: 4096
+};
+
+// Resolution of the full-frame buffer used to find letterbox bars
+const BORDER_DETECTION_RESOLUTION = 400;
+
+/**
+ * Fetch and decode an image into a bitmap
+ * @param {string} imageSrc - Image source URL (data URLs included)
+ * @returns {Promise<ImageBitmap>} Promise resolving to the decoded bitmap
+ */
+async function loadBitmap(imageSrc) {
+  try {
+    const response = await fetch(imageSrc);
+    const blob = await response.blob();
+    return await createImageBitmap(blob);
+  } catch {
+    throw new Error('Failed to load image');
+  }
+}
+
+/**
+ * Render a decoded bitmap into a scaled-down RGBA pixel buffer
+ * When a region is given, the buffer covers its bounding box and pixels
+ * outside a lasso are left transparent, which every analyzer skips.
+ * @param {ImageBitmap} bitmap - The decoded bitmap
+ * @param {number} maxDimension - Longest side of the buffer in pixels
+ * @param {Object|null} region - Optional region of interest
+ * @returns {Object} Pixel buffer { data, width, height }
+ */
+function renderPixelBuffer(bitmap, maxDimension, region) {
+  const bounds = region
+    ? getRegionBounds(region)
+    : { x: 0, y: 0, width: 1, height: 1 };
+  const sx = bounds.x * bitmap.width;
+  const sy = bounds.y * bitmap.height;
+  const sw = Math.max(1, bounds.width * bitmap.width);
+  const sh = Math.max(1, bounds.height * bitmap.height);
+
+  // Scale down for performance
+  const scale = Math.min(maxDimension / sw, maxDimension / sh, 1);
+  const width = Math.max(1, Math.floor(sw * scale));
+  const height = Math.max(1, Math.floor(sh * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  if (region && region.shape !== 'rect') {
+    ctx.beginPath();
+    region.points.forEach(([x, y], idx) => {
+      const px = ((x - bounds.x) / bounds.width) * width;
+      const py = ((y - bounds.y) / bounds.height) * height;
+      if (idx === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.closePath();
+    ctx.clip();
+  }
+
+  ctx.drawImage(bitmap, sx, sy, sw, sh, 0, 0, width, height);
+
+  const imageData = ctx.getImageData(0, 0, width, height);
+
+  return { data: imageData.data, width, height };
+}
+
+/**
+ * Decode a frame once and produce a pixel buffer per analyzer
+ * Borders are always detected on the full frame. Unless a region is given,
+ * detected bars are cropped away when autoCrop is set.
+ * @param {string} imageSrc - Image source URL
+ * @param {Object} resolutions - Map of analyzer name to maximum dimension
+ * @param {Object} options - { region, autoCrop }
+ * @returns {Promise<Object>} Promise resolving to { buffers, borders, bounds }
+ */
+export async function decodeFrame(
+  imageSrc,
+  resolutions = ANALYSIS_RESOLUTIONS,
+  { region = null, autoCrop = false } = {}
+) {
+  const bitmap = await loadBitmap(imageSrc);
+  const borders = detectBorders(renderPixelBuffer(bitmap, BORDER_DETECTION_RESOLUTION, null));
+
+  let analysisRegion = region;
+  if (!analysisRegion && autoCrop && borders.detected) {
+    const { x, y, width, height } = borders.crop;
+    analysisRegion = createRectRegion([x, y], [x + width, y + height]);
+  }
+
+  const buffersByDimension = new Map();
+  const buffers = {};
+
+  Object.entries(resolutions).forEach(([name, maxDimension]) => {
+    if (!buffersByDimension.has(maxDimension)) {
+      buffersByDimension.set(maxDimension, renderPixelBuffer(bitmap, maxDimension, analysisRegion));
+    }
+    buffers[name] = buffersByDimension.get(maxDimension);
+  });
+
+  bitmap.close();
+
+  return {
+    buffers,
+    borders,
+    bounds: analysisRegion
+      ? getRegionBounds(analysisRegion)
+      : { x: 0, y: 0, width: 1, height: 1 }
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Frame Overlays
+ * Paints per-pixel analysis maps into RGBA buffers drawn over the preview
+ */
+
+import { UNASSIGNED_LABEL } from './colorExtraction';
+import { UNMAPPED_ZONE } from './zoneSystem';
+import { CLIP_HIGHLIGHT, CLIP_SHADOW } from './clipping';
+
+/**
+ * Overlay modes offered on the preview
+ */
+export const OVERLAY_MODES = [
+  { id: 'off', label: 'Original' },
+  { id: 'posterize', label: 'Posterize' },
+  { id: 'isolate', label: 'Isolate Swatch' },
+  { id: 'falseColor', label: 'False Color' },
+  { id: 'zone', label: 'Isolate Zone' },
+  { id: 'clipping', label: 'Clipping' }
+];
+
+/**
+ * False-color palette by zone (0-X), after camera exposure monitors:
+ * cool colors for shadows, green for middle gray, pink around skin,
+ * warm colors toward clipping and red for Zone X, which starts at the
+ * transfer function's display white
+ */
+export const ZONE_FALSE_COLORS = [
+  [88, 24, 140],
+  [40, 40, 160],
+  [30, 90, 200],
+  [40, 150, 200],
+  [60, 160, 130],
+  [70, 190, 70],
+  [230, 140, 170],
+  [200, 200, 200],
+  [240, 220, 60],
+  [245, 140, 40],
+  [220, 40, 40]
+];
+
+// Darkroom black used to mask out pixels that are not of interest
+const MASK_RGBA = [10, 10, 11, 220];
+
+// Zebra stripes over clipped highlights, and a solid fill over crushed shadows
+const ZEBRA_RGBA = [255, 60, 60, 230];
+const CRUSHED_RGBA = [40, 90, 255, 200];
+
+// Width of each zebra stripe, in overlay pixels
+const ZEBRA_STRIPE = 3;
+
+/**
+ * Paint the palette label map
+ * Posterize fills each pixel with its palette color, leaving unassigned
+ * pixels transparent. Isolate masks every pixel except those of the
+ * highlighted color (nothing is masked until a color is highlighted).
+ * @param {Object} labels - Label map { data, width, height }
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {string} mode - 'posterize' | 'isolate'
+ * @param {number|null} highlightId - Color id to isolate
+ * @returns {Object|null} RGBA buffer { data, width, height }, or null when nothing to draw
+ */
+export function renderPaletteOverlay(labels, colors, mode, highlightId) {
+  if (!labels || (mode !== 'posterize' && mode !== 'isolate')) {
+    return null;
+  }
+  if (mode === 'isolate' && (highlightId === null || highlightId === undefined)) {
+    return null;
+  }
+
+  const { width, height } = labels;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const colorById = new Map(colors.map(c => [c.id, c.rgb]));
+
+  for (let i = 0; i < labels.data.length; i++) {
+    const label = labels.data[i];
+    const offset = i * 4;
+
+    if (mode === 'posterize') {
+      const rgb = label !== UNASSIGNED_LABEL ? colorById.get(label) : null;
+      if (rgb) {
+        data[offset] = rgb[0];
+        data[offset + 1] = rgb[1];
+        data[offset + 2] = rgb[2];
+        data[offset + 3] = 255;
+      }
+    } else if (label !== highlightId) {
+      data.set(MASK_RGBA, offset);
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Paint the per-pixel zone map
+ * False color fills each pixel with its zone's color. Isolate masks every
+ * pixel outside the selected zone (nothing is masked until a zone is selected).
+ * @param {Object} zoneMap - Zone map { data, width, height }
+ * @param {string} mode - 'falseColor' | 'zone'
+ * @param {number|null} selectedZone - Zone (0-10) to isolate
+ * @returns {Object|null} RGBA buffer { data, width, height }, or null when nothing to draw
+ */
+export function renderZoneOverlay(zoneMap, mode, selectedZone) {
+  if (!zoneMap || (mode !== 'falseColor' && mode !== 'zone')) {
+    return null;
+  }
+  if (mode === 'zone' && (selectedZone === null || selectedZone === undefined)) {
+    return null;
+  }
+
+  const { width, height } = zoneMap;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let i = 0; i < zoneMap.data.length; i++) {
+    const zone = zoneMap.data[i];
+    const offset = i * 4;
+
+    if (mode === 'falseColor') {
+      if (zone !== UNMAPPED_ZONE) {
+        const rgb = ZONE_FALSE_COLORS[zone];
+        data[offset] = rgb[0];
+        data[offset + 1] = rgb[1];
+        data[offset + 2] = rgb[2];
+        data[offset + 3] = 255;
+      }
+    } else if (zone !== selectedZone) {
+      data.set(MASK_RGBA, offset);
+    }
+  }
+
+  return { data, width, height };
+}
+
+/**
+ * Paint clipping warnings
+ * Clipped highlights get diagonal zebra stripes, crushed shadows a solid fill.
+ * @param {Object} clipMap - Clip map { data, width, height } from analyzeClipping
+ * @returns {Object|null} RGBA buffer { data, width, height }, or null when nothing to draw
+ */
+export function renderClippingOverlay(clipMap) {
+  if (!clipMap) {
+    return null;
+  }
+
+  const { width, height } = clipMap;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      const flags = clipMap.data[idx];
+      if (flags & CLIP_HIGHLIGHT) {
+        if (Math.floor((x + y) / ZEBRA_STRIPE) % 2 === 0) {
+          data.set(ZEBRA_RGBA, idx * 4);
+        }
+      } else if (flags & CLIP_SHADOW) {
+        data.set(CRUSHED_RGBA, idx * 4);
+      }
+    }
+  }
+
+  return { data, width, height };
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { renderZoneOverlay, ZONE_FALSE_COLORS } from './overlays';
+import { analyzeZoneSystem } from './zoneSystem';
+
+/**
+ * Build a one-row buffer from a list of RGB colors
+ */
+function row(colors) {
+  const data = new Uint8ClampedArray(colors.length * 4);
+  colors.forEach((rgb, i) => {
+    data.set([...rgb, 255], i * 4);
+  });
+  return { data, width: colors.length, height: 1 };
+}
+
+/**
+ * Read the RGBA value of one overlay pixel
+ */
+function pixelAt(overlay, i) {
+  return Array.from(overlay.data.slice(i * 4, i * 4 + 4));
+}
+
+describe('renderZoneOverlay', () => {
+  // Middle gray, a light gray, a near white and a blown highlight
+  const frame = row([[118, 118, 118], [200, 200, 200], [235, 235, 235], [255, 255, 255]]);
+  const { zoneMap } = analyzeZoneSystem(frame);
+
+  it('paints the top zones in false color on an SDR frame', () => {
+    const overlay = renderZoneOverlay(zoneMap, 'falseColor', null);
+    expect(pixelAt(overlay, 0)).toEqual([...ZONE_FALSE_COLORS[5], 255]);
+    expect(pixelAt(overlay, 3)).toEqual([...ZONE_FALSE_COLORS[10], 255]);
+    const zones = Array.from(zoneMap.data);
+    expect(zones.some(zone => zone >= 8 && zone < 10)).toBe(true);
+  });
+
+  it('isolates blown highlights in Zone X', () => {
+    const overlay = renderZoneOverlay(zoneMap, 'zone', 10);
+    // Pixels in the selected zone stay clear, everything else is masked
+    expect(pixelAt(overlay, 3)[3]).toBe(0);
+    [0, 1, 2].forEach(i => expect(pixelAt(overlay, i)[3]).toBeGreaterThan(0));
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Palette Editing
+ * Merge, split, delete and eyedropper operations on an extracted palette.
+ * Every edit works on the analysis pixel buffer and its label map, and
+ * percentages are recomputed from the resulting pixel assignments.
+ */
+
+import { colorDistance, rgbToHex } from './colorUtils';
+import { UNASSIGNED_LABEL } from './colorExtraction';
+
+// Iterations for the two-way split of a single color
+const SPLIT_ITERATIONS = 10;
+
+// RGB distance within which a picked color counts as already in the palette
+const PICK_MIN_DISTANCE = 12;
+
+/**
+ * Find the smallest color id not used by the palette
+ * @param {Object[]} colors - Palette colors with id
+ * @returns {number} Free color id
+ */
+function getFreeColorId(colors) {
+  const used = new Set(colors.map(c => c.id));
+  for (let id = 0; id < UNASSIGNED_LABEL; id++) {
+    if (!used.has(id)) return id;
+  }
+  throw new Error('The palette cannot hold any more colors');
+}
+
+/**
+ * Read the RGB value of one pixel
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} idx - Pixel index
+ * @returns {number[]} [r, g, b]
+ */
+function readPixel(data, idx) {
+  const offset = idx * 4;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+}
+
+/**
+ * Recount every color from the label map and rebuild the palette
+ * @param {Object} pixels - Pixel buffer { data, width, height }
+ * @param {Uint8Array} labelData - Label map data
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {number[]} recolorIds - Colors whose rgb becomes the mean of their pixels
+ * @returns {Object[]} Palette sorted by percentage, empty colors removed
+ */
+function rebuildPalette(pixels, labelData, colors, recolorIds = []) {
+  const stats = new Map(colors.map(c => [c.id, { count: 0, sum: [0, 0, 0] }]));
+  let total = 0;
+
+  for (let i = 0; i < labelData.length; i++) {
+    const s = stats.get(labelData[i]);
+    if (!s) continue;
+    const offset = i * 4;
+    s.count++;
+    s.sum[0] += pixels.data[offset];
+    s.sum[1] += pixels.data[offset + 1];
+    s.sum[2] += pixels.data[offset + 2];
+    total++;
+  }
+
+  return colors
+    .map(color => {
+      const { count, sum } = stats.get(color.id);
+      const rgb = recolorIds.includes(color.id) && count > 0
+        ? sum.map(v => Math.round(v / count))
+        : color.rgb;
+      return {
+        id: color.id,
+        rgb,
+        hex: rgbToHex(rgb),
+        count,
+        percentage: total > 0 ? (count / total) * 100 : 0
+      };
+    })
+    .filter(c => c.count > 0)
+    .sort((a, b) => b.percentage - a.percentage);
+}
+
+/**
+ * Merge one color into another
+ * @param {Object} pixels - Pixel buffer { data, width, height }
+ * @param {Object} labels - Label map { data, width, height }
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {number} keepId - Color that absorbs the other
+ * @param {number} mergeId - Color that is merged away
+ * @returns {Object} { colors, labels }
+ */
+export function mergeColors(pixels, labels, colors, keepId, mergeId) {
+  if (keepId === mergeId) {
+    throw new Error('Pick two different colors to merge');
+  }
+
+  const data = labels.data.map(label => (label === mergeId ? keepId : label));
+  const remaining = colors.filter(c => c.id !== mergeId);
+
+  return {
+    colors: rebuildPalette(pixels, data, remaining, [keepId]),
+    labels: { ...labels, data }
+  };
+}
+
+/**
+ * Split one color into two with a two-way k-means over its pixels
+ * @param {Object} pixels - Pixel buffer { data, width, height }
+ * @param {Object} labels - Label map { data, width, height }
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {number} id - Color to split
+ * @returns {Object} { colors, labels }
+ */
+export function splitColor(pixels, labels, colors, id) {
+  const members = [];
+  labels.data.forEach((label, idx) => {
+    if (label === id) members.push(idx);
+  });
+  if (members.length < 2) {
+    throw new Error('Not enough pixels to split this color');
+  }
+
+  const values = members.map(idx => readPixel(pixels.data, idx));
+  const farthestFrom = (point) => values.reduce((best, value) =>
+    colorDistance(value, point) > colorDistance(best, point) ? value : best
+  );
+
+  // Seed deterministically with two far-apart pixels
+  const mean = [0, 1, 2].map(ch => values.reduce((sum, v) => sum + v[ch], 0) / values.length);
+  let centers = [farthestFrom(mean)];
+  centers.push(farthestFrom(centers[0]));
+  if (colorDistance(centers[0], centers[1]) === 0) {
+    throw new Error('This color is too uniform to split');
+  }
+
+  let assignments = [];
+  for (let iter = 0; iter < SPLIT_ITERATIONS; iter++) {
+    assignments = values.map(value =>
+      colorDistance(value, centers[0]) <= colorDistance(value, centers[1]) ? 0 : 1
+    );
+    centers = [0, 1].map(cluster => {
+      const assigned = values.filter((_, idx) => assignments[idx] === cluster);
+      return [0, 1, 2].map(ch => assigned.reduce((sum, v) => sum + v[ch], 0) / assigned.length);
+    });
+  }
+
+  const newId = getFreeColorId(colors);
+  const data = labels.data.slice();
+  members.forEach((pixelIdx, idx) => {
+    if (assignments[idx] === 1) data[pixelIdx] = newId;
+  });
+
+  return {
+    colors: rebuildPalette(pixels, data, [...colors, { id: newId, rgb: [0, 0, 0] }], [id, newId]),
+    labels: { ...labels, data }
+  };
+}
+
+/**
+ * Delete a color, handing its pixels to the nearest remaining color
+ * @param {Object} pixels - Pixel buffer { data, width, height }
+ * @param {Object} labels - Label map { data, width, height }
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {number} id - Color to delete
+ * @returns {Object} { colors, labels }
+ */
+export function deleteColor(pixels, labels, colors, id) {
+  const remaining = colors.filter(c => c.id !== id);
+  if (remaining.length === 0) {
+    throw new Error('The palette needs at least one color');
+  }
+
+  const data = labels.data.slice();
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] !== id) continue;
+    const rgb = readPixel(pixels.data, i);
+    data[i] = remaining.reduce((best, color) =>
+      colorDistance(rgb, color.rgb) < colorDistance(rgb, best.rgb) ? color : best
+    ).id;
+  }
+
+  return {
+    colors: rebuildPalette(pixels, data, remaining),
+    labels: { ...labels, data }
+  };
+}
+
+/**
+ * Add the color under a pixel, claiming every pixel closer to it than to its current color
+ * Picks that match an existing color, or that would claim no pixels, are rejected.
+ * @param {Object} pixels - Pixel buffer { data, width, height }
+ * @param {Object} labels - Label map { data, width, height }
+ * @param {Object[]} colors - Palette colors with id and rgb
+ * @param {number} x - Pixel column in the buffer
+ * @param {number} y - Pixel row in the buffer
+ * @returns {Object} { colors, labels }
+ */
+export function pickColor(pixels, labels, colors, x, y) {
+  const idx = y * pixels.width + x;
+  if (x < 0 || y < 0 || x >= pixels.width || y >= pixels.height || pixels.data[idx * 4 + 3] <= 128) {
+    throw new Error('Pick a point inside the analyzed area');
+  }
+
+  const picked = readPixel(pixels.data, idx);
+  const existing = colors.find(c => colorDistance(c.rgb, picked) <= PICK_MIN_DISTANCE);
+  if (existing) {
+    throw new Error(`${rgbToHex(picked)} is already in the palette as ${rgbToHex(existing.rgb)}`);
+  }
+
+  const newId = getFreeColorId(colors);
+  const rgbById = new Map(colors.map(c => [c.id, c.rgb]));
+  const data = labels.data.slice();
+  let claimed = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const current = rgbById.get(data[i]);
+    if (!current) continue;
+    const rgb = readPixel(pixels.data, i);
+    if (colorDistance(rgb, picked) < colorDistance(rgb, current)) {
+      data[i] = newId;
+      claimed++;
+    }
+  }
+  if (claimed === 0) {
+    throw new Error(`No pixels are closer to ${rgbToHex(picked)} than to the current palette`);
+  }
+
+  return {
+    colors: rebuildPalette(pixels, data, [...colors, { id: newId, rgb: picked }]),
+    labels: { ...labels, data }
+  };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { pickColor, mergeColors } from './paletteEditing';
+import { extractColors } from './colorExtraction';
+
+const RED = [220, 30, 30];
+const BLUE = [30, 40, 200];
+const ORANGE = [240, 140, 20];
+
+/**
+ * Build a 10x10 frame: red left half, blue right half, with an orange
+ * block in the top-left corner that the palette does not contain
+ */
+function buildFrame() {
+  const width = 10;
+  const height = 10;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const labels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      const orange = x < 2 && y < 2;
+      const rgb = orange ? ORANGE : x < 5 ? RED : BLUE;
+      data.set([...rgb, 255], idx * 4);
+      labels[idx] = x < 5 ? 0 : 1;
+    }
+  }
+  return {
+    pixels: { data, width, height },
+    labels: { data: labels, width, height },
+    colors: [{ id: 0, rgb: RED }, { id: 1, rgb: BLUE }]
+  };
+}
+
+describe('pickColor', () => {
+  it('rejects a pick that matches an existing palette color', () => {
+    const { pixels, labels, colors } = buildFrame();
+    expect(() => pickColor(pixels, labels, colors, 3, 5)).toThrow(/already in the palette/);
+  });
+
+  it('adds a new color that claims the pixels nearest to it', () => {
+    const { pixels, labels, colors } = buildFrame();
+    const result = pickColor(pixels, labels, colors, 0, 0);
+    const picked = result.colors.find(c => c.rgb.join() === ORANGE.join());
+    expect(result.colors).toHaveLength(3);
+    expect(picked.percentage).toBeCloseTo(4);
+  });
+});
+
+describe('palette shares', () => {
+  it('keeps untouched colors at the share extraction reported after an edit', () => {
+    const width = 20;
+    const height = 20;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // Sampling every 4th pixel sees 3/5 red, 1/5 orange and 1/5 blue,
+        // while the frame is half red, a fifth orange and 30% blue
+        const rgb = x < 10 ? RED : x < 14 ? ORANGE : BLUE;
+        data.set([...rgb, 255], (y * width + x) * 4);
+      }
+    }
+    const pixels = { data, width, height };
+    const extraction = extractColors(pixels, { sampleStep: 4, colorCount: 3, clusters: 4 });
+    const blue = extraction.colors.find(c => c.rgb[2] > 150);
+    const others = extraction.colors.filter(c => c !== blue);
+    expect(blue.percentage).toBeCloseTo(30);
+
+    const edit = mergeColors(pixels, extraction.labels, extraction.colors, others[0].id, others[1].id);
+    const blueAfter = edit.colors.find(c => c.id === blue.id);
+    expect(blueAfter.percentage).toBeCloseTo(blue.percentage);
+  });
+});
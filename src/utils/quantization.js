@@ -0,0 +1,290 @@
+/**
+ * Palette quantizers
+ * Median cut, octree and 3D-histogram peak finding, as deterministic
+ * alternatives to k-means. Each works on pixel coordinates in any
+ * clustering space and returns { centroids, assignments }.
+ */
+
+import { colorDistance } from './colorUtils';
+
+/**
+ * Compute per-axis bounds of a set of points
+ * @param {number[][]} points - Pixel coordinates
+ * @returns {Object} { min, range } arrays, range never zero
+ */
+function getBounds(points) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  points.forEach(point => {
+    for (let axis = 0; axis < 3; axis++) {
+      if (point[axis] < min[axis]) min[axis] = point[axis];
+      if (point[axis] > max[axis]) max[axis] = point[axis];
+    }
+  });
+
+  return { min, range: max.map((v, axis) => (v - min[axis]) || 1) };
+}
+
+/**
+ * Average the points in each cluster
+ * @param {number[][]} points - Pixel coordinates
+ * @param {number[]} assignments - Cluster index per point
+ * @param {number} k - Number of clusters
+ * @returns {number[][]} Mean position of each cluster
+ */
+function clusterMeans(points, assignments, k) {
+  const sums = Array.from({ length: k }, () => [0, 0, 0]);
+  const counts = new Array(k).fill(0);
+
+  points.forEach((point, idx) => {
+    const cluster = assignments[idx];
+    sums[cluster][0] += point[0];
+    sums[cluster][1] += point[1];
+    sums[cluster][2] += point[2];
+    counts[cluster]++;
+  });
+
+  return sums.map((sum, idx) => {
+    const count = counts[idx] || 1;
+    return [sum[0] / count, sum[1] / count, sum[2] / count];
+  });
+}
+
+/**
+ * Assign each point to its nearest centroid
+ * @param {number[][]} points - Pixel coordinates
+ * @param {number[][]} centroids - Cluster centers
+ * @returns {number[]} Cluster index per point
+ */
+function assignNearest(points, centroids) {
+  return points.map(point => {
+    let minDist = Infinity;
+    let cluster = 0;
+
+    centroids.forEach((centroid, idx) => {
+      const dist = colorDistance(point, centroid);
+      if (dist < minDist) {
+        minDist = dist;
+        cluster = idx;
+      }
+    });
+
+    return cluster;
+  });
+}
+
+/**
+ * Median cut quantization
+ * Repeatedly splits the box with the widest spread along its longest
+ * axis at the median until k boxes remain.
+ * @param {number[][]} points - Pixel coordinates
+ * @param {number} k - Target number of clusters
+ * @returns {Object} { centroids, assignments }
+ */
+export function medianCut(points, k) {
+  const boxes = [points.map((_, idx) => idx)];
+
+  const measureBox = (indices) => {
+    const { range } = getBounds(indices.map(idx => points[idx]));
+    const axis = range.indexOf(Math.max(...range));
+    return { axis, spread: range[axis] * indices.length };
+  };
+
+  while (boxes.length < k) {
+    // Split the box with the largest spread weighted by population
+    let target = -1;
+    let targetMeasure = null;
+    boxes.forEach((box, idx) => {
+      if (box.length < 2) return;
+      const measure = measureBox(box);
+      if (!targetMeasure || measure.spread > targetMeasure.spread) {
+        target = idx;
+        targetMeasure = measure;
+      }
+    });
+
+    if (target === -1) break;
+
+    const { axis } = targetMeasure;
+    const sorted = [...boxes[target]].sort((a, b) => points[a][axis] - points[b][axis]);
+    const median = Math.floor(sorted.length / 2);
+    boxes.splice(target, 1, sorted.slice(0, median), sorted.slice(median));
+  }
+
+  const assignments = new Array(points.length);
+  boxes.forEach((box, cluster) => {
+    box.forEach(idx => {
+      assignments[idx] = cluster;
+    });
+  });
+
+  return { centroids: clusterMeans(points, assignments, boxes.length), assignments };
+}
+
+/**
+ * Octree quantization
+ * Inserts normalized points into an octree, then folds the deepest,
+ * least-populated branches into their parents until k leaves remain.
+ * @param {number[][]} points - Pixel coordinates
+ * @param {number} k - Target number of clusters
+ * @param {number} depth - Tree depth (bits per axis)
+ * @returns {Object} { centroids, assignments }
+ */
+export function octreeQuantize(points, k, depth = 6) {
+  const { min, range } = getBounds(points);
+  const scale = (1 << depth) - 1;
+  const quantized = points.map(point =>
+    point.map((v, axis) => Math.round(((v - min[axis]) / range[axis]) * scale))
+  );
+
+  const createNode = (level) => ({
+    level,
+    count: 0,
+    sum: [0, 0, 0],
+    children: level < depth ? new Array(8).fill(null) : null
+  });
+
+  const childIndex = (q, level) => {
+    const shift = depth - 1 - level;
+    return (((q[0] >> shift) & 1) << 2) | (((q[1] >> shift) & 1) << 1) | ((q[2] >> shift) & 1);
+  };
+
+  const root = createNode(0);
+  const reducible = Array.from({ length: depth }, () => []);
+  reducible[0].push(root);
+  let leafCount = 0;
+
+  // Insert every point down to its leaf
+  quantized.forEach((q, idx) => {
+    let node = root;
+    while (node.children) {
+      const child = childIndex(q, node.level);
+      if (!node.children[child]) {
+        node.children[child] = createNode(node.level + 1);
+        if (node.children[child].children) {
+          reducible[node.level + 1].push(node.children[child]);
+        } else {
+          leafCount++;
+        }
+      }
+      node = node.children[child];
+    }
+    node.count++;
+    node.sum[0] += points[idx][0];
+    node.sum[1] += points[idx][1];
+    node.sum[2] += points[idx][2];
+  });
+
+  // Fold the deepest, smallest branches until we are within budget
+  while (leafCount > k) {
+    let level = depth - 1;
+    while (level > 0 && reducible[level].length === 0) level--;
+    if (reducible[level].length === 0) break;
+
+    const candidates = reducible[level];
+    const population = (node) => node.children.reduce((sum, c) => sum + (c ? c.count : 0), 0);
+    let smallest = 0;
+    candidates.forEach((node, idx) => {
+      if (population(node) < population(candidates[smallest])) smallest = idx;
+    });
+
+    const [node] = candidates.splice(smallest, 1);
+    let merged = 0;
+    node.children.forEach(child => {
+      if (!child) return;
+      node.count += child.count;
+      node.sum[0] += child.sum[0];
+      node.sum[1] += child.sum[1];
+      node.sum[2] += child.sum[2];
+      merged++;
+    });
+    node.children = null;
+    leafCount -= merged - 1;
+  }
+
+  // Number the leaves and walk each point down to its leaf
+  const centroids = [];
+  const numberLeaves = (node) => {
+    if (!node.children) {
+      node.cluster = centroids.length;
+      centroids.push(node.sum.map(v => v / (node.count || 1)));
+      return;
+    }
+    node.children.forEach(child => child && numberLeaves(child));
+  };
+  numberLeaves(root);
+
+  const assignments = quantized.map(q => {
+    let node = root;
+    while (node.children) {
+      node = node.children[childIndex(q, node.level)];
+    }
+    return node.cluster;
+  });
+
+  return { centroids, assignments };
+}
+
+/**
+ * 3D histogram peak-finding quantization
+ * Bins points into a coarse 3D histogram, picks the k most populated
+ * local peaks (suppressing their immediate neighbours), then assigns
+ * every point to the nearest peak and refines the centers once.
+ * @param {number[][]} points - Pixel coordinates
+ * @param {number} k - Target number of clusters
+ * @param {number} bins - Bins per axis
+ * @returns {Object} { centroids, assignments }
+ */
+export function histogramPeaks(points, k, bins = 16) {
+  const { min, range } = getBounds(points);
+  const binOf = (v, axis) => Math.min(bins - 1, Math.floor(((v - min[axis]) / range[axis]) * bins));
+  const keyOf = (x, y, z) => (x * bins + y) * bins + z;
+
+  const counts = new Map();
+  const sums = new Map();
+  points.forEach(point => {
+    const key = keyOf(binOf(point[0], 0), binOf(point[1], 1), binOf(point[2], 2));
+    counts.set(key, (counts.get(key) || 0) + 1);
+    const sum = sums.get(key) || [0, 0, 0];
+    sum[0] += point[0];
+    sum[1] += point[1];
+    sum[2] += point[2];
+    sums.set(key, sum);
+  });
+
+  // Greedy non-maximum suppression over the 26-neighbourhood
+  const ordered = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+  const suppressed = new Set();
+  const peaks = [];
+
+  for (const [key, count] of ordered) {
+    if (peaks.length >= k) break;
+    if (suppressed.has(key)) continue;
+
+    const z = key % bins;
+    const y = Math.floor(key / bins) % bins;
+    const x = Math.floor(key / (bins * bins));
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          const nz = z + dz;
+          if (nx >= 0 && ny >= 0 && nz >= 0 && nx < bins && ny < bins && nz < bins) {
+            suppressed.add(keyOf(nx, ny, nz));
+          }
+        }
+      }
+    }
+
+    peaks.push(sums.get(key).map(v => v / count));
+  }
+
+  // Refine the peak centers with one assignment pass
+  const initial = assignNearest(points, peaks);
+  const centroids = clusterMeans(points, initial, peaks.length);
+  const assignments = assignNearest(points, centroids);
+
+  return { centroids, assignments };
+}
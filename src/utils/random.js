@@ -0,0 +1,64 @@
+/**
+ * Seedable pseudo-random numbers
+ * Makes stochastic steps (k-means++ seeding) reproducible across runs
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive a seed from pixel data (FNV-1a hash)
+ * The same frame always produces the same seed.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function hashPixels(data) {
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Format a seed for display
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {string} Hex string (e.g., "0x1A2B3C4D")
+ */
+export function formatSeed(seed) {
+  return `0x${seed.toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+/**
+ * Parse a seed typed by the user
+ * @param {string} text - Hex ("0x1A2B3C4D") or decimal seed
+ * @returns {number|undefined} 32-bit unsigned integer seed, or undefined when
+ *   the text is empty or not a valid seed
+ */
+export function parseSeed(text) {
+  const trimmed = text.trim();
+  if (/^0x[0-9a-f]{1,8}$/i.test(trimmed)) {
+    return parseInt(trimmed.slice(2), 16);
+  }
+  if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xFFFFFFFF) {
+    return Number(trimmed);
+  }
+  return undefined;
+}
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { formatSeed, parseSeed } from './random';
+
+describe('parseSeed', () => {
+  it('reads back a formatted seed', () => {
+    expect(parseSeed(formatSeed(0x1A2B3C4D))).toBe(0x1A2B3C4D);
+  });
+
+  it('accepts decimal seeds', () => {
+    expect(parseSeed(' 42 ')).toBe(42);
+  });
+
+  it('treats empty or invalid text as no seed', () => {
+    expect(parseSeed('')).toBeUndefined();
+    expect(parseSeed('0xZZ')).toBeUndefined();
+    expect(parseSeed('-5')).toBeUndefined();
+    expect(parseSeed('4294967296')).toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Region of Interest helpers
+ * Regions are polygons in normalized frame coordinates (0-1), drawn
+ * either as a rectangle or a freeform lasso.
+ */
+
+// Regions narrower or shorter than this share of the frame are ignored
+const MIN_REGION_SIZE = 0.02;
+
+/**
+ * Create a rectangular region from two corner points
+ * @param {number[]} start - [x, y] first corner (0-1)
+ * @param {number[]} end - [x, y] opposite corner (0-1)
+ * @returns {Object} Region { shape: 'rect', points }
+ */
+export function createRectRegion([x1, y1], [x2, y2]) {
+  const left = Math.min(x1, x2);
+  const right = Math.max(x1, x2);
+  const top = Math.min(y1, y2);
+  const bottom = Math.max(y1, y2);
+
+  return {
+    shape: 'rect',
+    points: [[left, top], [right, top], [right, bottom], [left, bottom]]
+  };
+}
+
+/**
+ * Create a freeform lasso region from traced points
+ * @param {number[][]} points - Array of [x, y] points (0-1)
+ * @returns {Object} Region { shape: 'lasso', points }
+ */
+export function createLassoRegion(points) {
+  return { shape: 'lasso', points };
+}
+
+/**
+ * Get the bounding box of a region
+ * @param {Object} region - Region with points
+ * @returns {Object} { x, y, width, height } in normalized coordinates
+ */
+export function getRegionBounds(region) {
+  const xs = region.points.map(p => p[0]);
+  const ys = region.points.map(p => p[1]);
+  const x = Math.max(0, Math.min(...xs));
+  const y = Math.max(0, Math.min(...ys));
+
+  return {
+    x,
+    y,
+    width: Math.min(1, Math.max(...xs)) - x,
+    height: Math.min(1, Math.max(...ys)) - y
+  };
+}
+
+/**
+ * Check that a region is large enough to analyze
+ * @param {Object} region - Region with points
+ * @returns {boolean} True if usable
+ */
+export function isRegionUsable(region) {
+  if (!region || region.points.length < 3) return false;
+  const { width, height } = getRegionBounds(region);
+  return width >= MIN_REGION_SIZE && height >= MIN_REGION_SIZE;
+}
+
+/**
+ * Convert region points to an SVG points attribute
+ * @param {Object} region - Region with points
+ * @param {number} scale - Multiplier applied to coordinates (e.g., 100 for a 0-100 viewBox)
+ * @returns {string} Space-separated "x,y" pairs
+ */
+export function regionToSvgPoints(region, scale = 100) {
+  return region.points.map(([x, y]) => `${x * scale},${y * scale}`).join(' ');
+}
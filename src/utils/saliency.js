@@ -0,0 +1,199 @@
+/**
+ * Saliency Map
+ * Estimates where the eye is drawn, combining three cues: frequency-tuned
+ * saliency (distance of each lightly blurred CIELAB pixel from the frame's
+ * mean color), center-surround contrast on lightness, and local edge density.
+ * A bright face on a dark background scores high on all three, where a
+ * darkness-based weight would ignore it.
+ */
+
+import { rgbToLab } from './colorUtils';
+
+// Contribution of each cue to the combined map
+const SALIENCY_CUES = {
+  frequency: 0.5,
+  contrast: 0.3,
+  edges: 0.2
+};
+
+// Box radii as a share of the longer frame side
+const DETAIL_RADIUS = 0.01;
+const CENTER_RADIUS = 0.02;
+const SURROUND_RADIUS = 0.12;
+const EDGE_RADIUS = 0.04;
+
+// Percentile each cue is normalized against, so a few extreme pixels do not
+// flatten the rest of the map
+const NORMALIZE_PERCENTILE = 99;
+
+/**
+ * Separable box blur over opaque pixels
+ * @param {Float32Array} plane - Values per pixel
+ * @param {Uint8Array} mask - Opaque pixel mask
+ * @param {number} width - Plane width
+ * @param {number} height - Plane height
+ * @param {number} radius - Box radius in pixels
+ * @returns {Float32Array} Blurred plane
+ */
+function boxBlur(plane, mask, width, height, radius) {
+  const rowSums = new Float32Array(width * height);
+  const rowCounts = new Float32Array(width * height);
+  const out = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    let sum = 0;
+    let count = 0;
+    const row = y * width;
+    // Prime the window with the pixels right of x = 0
+    for (let k = 0; k <= Math.min(width - 1, radius); k++) {
+      if (mask[row + k]) {
+        sum += plane[row + k];
+        count++;
+      }
+    }
+    for (let x = 0; x < width; x++) {
+      rowSums[row + x] = sum;
+      rowCounts[row + x] = count;
+      const enter = x + radius + 1;
+      const leave = x - radius;
+      if (enter < width && mask[row + enter]) {
+        sum += plane[row + enter];
+        count++;
+      }
+      if (leave >= 0 && mask[row + leave]) {
+        sum -= plane[row + leave];
+        count--;
+      }
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    let count = 0;
+    for (let k = 0; k <= Math.min(height - 1, radius); k++) {
+      sum += rowSums[k * width + x];
+      count += rowCounts[k * width + x];
+    }
+    for (let y = 0; y < height; y++) {
+      out[y * width + x] = count > 0 ? sum / count : 0;
+      const enter = y + radius + 1;
+      const leave = y - radius;
+      if (enter < height) {
+        sum += rowSums[enter * width + x];
+        count += rowCounts[enter * width + x];
+      }
+      if (leave >= 0) {
+        sum -= rowSums[leave * width + x];
+        count -= rowCounts[leave * width + x];
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Scale a cue to 0-1 against a high percentile of its opaque values
+ * @param {Float32Array} plane - Cue values, modified in place
+ * @param {Uint8Array} mask - Opaque pixel mask
+ * @returns {Float32Array} The normalized plane
+ */
+function normalizeCue(plane, mask) {
+  const values = [];
+  for (let idx = 0; idx < plane.length; idx++) {
+    if (mask[idx]) values.push(plane[idx]);
+  }
+  if (values.length === 0) return plane;
+
+  values.sort((a, b) => a - b);
+  const reference = values[Math.min(values.length - 1, Math.floor(values.length * NORMALIZE_PERCENTILE / 100))];
+
+  for (let idx = 0; idx < plane.length; idx++) {
+    plane[idx] = mask[idx] && reference > 0 ? Math.min(1, plane[idx] / reference) : 0;
+  }
+  return plane;
+}
+
+/**
+ * Compute a saliency map for a decoded frame
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @returns {Object} { data, width, height } with saliency in 0-1 per pixel
+ *   (0 for transparent pixels)
+ */
+export function computeSaliencyMap(buffer) {
+  const { data, width, height } = buffer;
+  const size = width * height;
+  const mask = new Uint8Array(size);
+  const lab = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+  const mean = [0, 0, 0];
+  let count = 0;
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+    mask[idx] = 1;
+    const values = rgbToLab([data[i], data[i + 1], data[i + 2]]);
+    for (let c = 0; c < 3; c++) {
+      lab[c][idx] = values[c];
+      mean[c] += values[c];
+    }
+    count++;
+  }
+
+  const saliency = new Float32Array(size);
+  if (count === 0) {
+    return { data: saliency, width, height };
+  }
+  for (let c = 0; c < 3; c++) mean[c] /= count;
+
+  const longSide = Math.max(width, height);
+  const radius = (share) => Math.max(1, Math.round(longSide * share));
+
+  // Frequency-tuned saliency: blurred color distance from the frame mean
+  const detail = lab.map(plane => boxBlur(plane, mask, width, height, radius(DETAIL_RADIUS)));
+  const frequency = new Float32Array(size);
+  for (let idx = 0; idx < size; idx++) {
+    if (!mask[idx]) continue;
+    frequency[idx] = Math.hypot(
+      detail[0][idx] - mean[0],
+      detail[1][idx] - mean[1],
+      detail[2][idx] - mean[2]
+    );
+  }
+
+  // Center-surround contrast on lightness
+  const center = boxBlur(lab[0], mask, width, height, radius(CENTER_RADIUS));
+  const surround = boxBlur(lab[0], mask, width, height, radius(SURROUND_RADIUS));
+  const contrast = new Float32Array(size);
+  for (let idx = 0; idx < size; idx++) {
+    if (mask[idx]) contrast[idx] = Math.abs(center[idx] - surround[idx]);
+  }
+
+  // Edge density: Sobel magnitude on lightness, averaged over a neighbourhood
+  const gradient = new Float32Array(size);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const idx = y * width + x;
+      if (!mask[idx]) continue;
+      const L = lab[0];
+      const gx = L[idx - width + 1] + 2 * L[idx + 1] + L[idx + width + 1] -
+        L[idx - width - 1] - 2 * L[idx - 1] - L[idx + width - 1];
+      const gy = L[idx + width - 1] + 2 * L[idx + width] + L[idx + width + 1] -
+        L[idx - width - 1] - 2 * L[idx - width] - L[idx - width + 1];
+      gradient[idx] = Math.hypot(gx, gy);
+    }
+  }
+  const edges = boxBlur(gradient, mask, width, height, radius(EDGE_RADIUS));
+
+  const cues = {
+    frequency: normalizeCue(frequency, mask),
+    contrast: normalizeCue(contrast, mask),
+    edges: normalizeCue(edges, mask)
+  };
+  for (let idx = 0; idx < size; idx++) {
+    if (!mask[idx]) continue;
+    saliency[idx] = Object.entries(SALIENCY_CUES)
+      .reduce((sum, [cue, share]) => sum + cues[cue][idx] * share, 0);
+  }
+
+  return { data: saliency, width, height };
+}
@@ -0,0 +1,145 @@
+/**
+ * Skin Tone Detection
+ * Segments likely skin pixels with a Cb/Cr box classifier and measures
+ * where they sit on the vectorscope relative to the skin-tone (I) line.
+ * Colorists read a grade as natural when skin clusters along that line.
+ */
+
+import { rgbToYCbCr, getVectorscopePosition, SKIN_TONE_LINE_ANGLE } from './videoScopes';
+import { rgbToHex, rgbToHsl } from './colorUtils';
+
+// Skin chroma box in 8-bit offset Cb/Cr (Chai & Ngan)
+const SKIN_CB_RANGE = [77, 127];
+const SKIN_CR_RANGE = [133, 173];
+
+// Luma range (0-1) outside which chroma is too noisy to classify
+const SKIN_LUMA_RANGE = [0.15, 0.95];
+
+// Widest angle from the I-line (degrees) a pixel may sit at and still count as skin
+const MAX_LINE_ANGLE = 30;
+
+// Share of the frame (percent) below which no skin is reported
+const MIN_SKIN_SHARE = 1;
+
+// Angle from the I-line (degrees) still read as on the line
+const ON_LINE_TOLERANCE = 5;
+
+// Angle from the I-line (degrees) beyond which skin reads as pushed
+const PUSHED_TOLERANCE = 15;
+
+/**
+ * Classify one pixel as likely skin
+ * @param {number[]} rgb - [r, g, b] with 0-255 channels
+ * @returns {boolean} True if the pixel falls inside the skin chroma box
+ */
+export function isSkinPixel(rgb) {
+  const [y, cb, cr] = rgbToYCbCr(rgb);
+  if (y < SKIN_LUMA_RANGE[0] || y > SKIN_LUMA_RANGE[1]) return false;
+
+  const cb8 = 128 + cb * 255;
+  const cr8 = 128 + cr * 255;
+  if (cb8 < SKIN_CB_RANGE[0] || cb8 > SKIN_CB_RANGE[1] ||
+    cr8 < SKIN_CR_RANGE[0] || cr8 > SKIN_CR_RANGE[1]) {
+    return false;
+  }
+
+  // The box also admits khaki and olive; keep only chroma near the I-line
+  const { angle } = getVectorscopePosition(cb, cr);
+  return Math.abs(angle - SKIN_TONE_LINE_ANGLE) <= MAX_LINE_ANGLE;
+}
+
+/**
+ * Describe how far skin sits from the I-line
+ * @param {number} deviation - Signed degrees; positive leans yellow, negative leans red
+ * @returns {Object} { verdict, description }
+ */
+function describeLineDeviation(deviation) {
+  const amount = Math.abs(deviation);
+  if (amount <= ON_LINE_TOLERANCE) {
+    return { verdict: 'On the line', description: 'Skin sits on the skin-tone line and reads natural' };
+  }
+
+  const direction = deviation > 0 ? 'yellow' : 'red';
+  const cast = deviation > 0 ? 'sallow, green-yellow' : 'flushed, magenta-red';
+  if (amount <= PUSHED_TOLERANCE) {
+    return {
+      verdict: `Leaning ${direction}`,
+      description: `Skin drifts toward ${direction}, still within a natural range`
+    };
+  }
+  return {
+    verdict: `Pushed ${direction}`,
+    description: `Skin is well off the line and reads ${cast}`
+  };
+}
+
+/**
+ * Analyze a decoded frame for skin tones
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @returns {Object} Skin analysis with the per-pixel mask
+ */
+export function analyzeSkinTone(buffer) {
+  const { data, width, height } = buffer;
+  const mask = new Uint8Array(width * height);
+  const sum = [0, 0, 0];
+  let sumCb = 0;
+  let sumCr = 0;
+  let sumCos = 0;
+  let sumSin = 0;
+  let skinPixels = 0;
+  let totalPixels = 0;
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+    totalPixels++;
+
+    const rgb = [data[i], data[i + 1], data[i + 2]];
+    if (!isSkinPixel(rgb)) continue;
+
+    mask[idx] = 1;
+    skinPixels++;
+    sum[0] += rgb[0];
+    sum[1] += rgb[1];
+    sum[2] += rgb[2];
+
+    const [, cb, cr] = rgbToYCbCr(rgb);
+    sumCb += cb;
+    sumCr += cr;
+    const radians = (getVectorscopePosition(cb, cr).angle * Math.PI) / 180;
+    sumCos += Math.cos(radians);
+    sumSin += Math.sin(radians);
+  }
+
+  const percentage = totalPixels > 0 ? (skinPixels / totalPixels) * 100 : 0;
+  if (percentage < MIN_SKIN_SHARE) {
+    return {
+      detected: false,
+      percentage,
+      mask,
+      verdict: 'No skin detected',
+      description: 'No significant skin-tone area in the frame'
+    };
+  }
+
+  const rgb = sum.map(v => Math.round(v / skinPixels));
+  const { angle, magnitude } = getVectorscopePosition(sumCb / skinPixels, sumCr / skinPixels);
+  const lineDeviation = angle - SKIN_TONE_LINE_ANGLE;
+
+  // Circular spread of individual skin pixels around their mean angle
+  const resultant = Math.min(1, Math.hypot(sumCos, sumSin) / skinPixels);
+  const spread = resultant > 0 ? (Math.sqrt(-2 * Math.log(resultant)) * 180) / Math.PI : 0;
+
+  return {
+    detected: true,
+    percentage,
+    mask,
+    rgb,
+    hex: rgbToHex(rgb),
+    hsl: rgbToHsl(rgb),
+    vectorAngle: angle,
+    vectorMagnitude: magnitude,
+    lineDeviation,
+    spread,
+    ...describeLineDeviation(lineDeviation)
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Spatial Coherence Analysis
+ * Describes where each palette color lives in the frame: position,
+ * extent, how many connected regions it forms and how compact it is
+ */
+
+// Regions smaller than this share of the frame are treated as speckle
+const MIN_REGION_SHARE = 0.0005;
+
+// Highest isoperimetric quotient a pixel-edge perimeter can reach. A
+// 4-connected boundary is never shorter than its bounding box's, so a square
+// scores best at π/4 and a digital disc only about π²/16
+const PIXEL_COMPACTNESS_MAX = Math.PI / 4;
+
+/**
+ * Find 8-connected regions of one label
+ * @param {Uint8Array} data - Label map data
+ * @param {number} width - Label map width
+ * @param {number} height - Label map height
+ * @param {number} label - Label to trace
+ * @returns {number[]} Size of each connected region
+ */
+function findRegions(data, width, height, label) {
+  const visited = new Uint8Array(data.length);
+  const stack = new Int32Array(data.length);
+  const sizes = [];
+
+  for (let start = 0; start < data.length; start++) {
+    if (data[start] !== label || visited[start]) continue;
+
+    let top = 0;
+    let size = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const idx = stack[--top];
+      const x = idx % width;
+      const y = (idx - x) / width;
+      size++;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+          const neighbor = ny * width + nx;
+          if (data[neighbor] === label && !visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack[top++] = neighbor;
+          }
+        }
+      }
+    }
+
+    sizes.push(size);
+  }
+
+  return sizes;
+}
+
+/**
+ * Classify how a color is distributed across the frame
+ * Based on how much of the color sits in its largest connected region
+ */
+function classifyDistribution(largestRegionShare) {
+  if (largestRegionShare >= 0.7) {
+    return { distribution: 'Solid', distributionDescription: 'One coherent region' };
+  } else if (largestRegionShare >= 0.35) {
+    return { distribution: 'Clustered', distributionDescription: 'A few distinct areas' };
+  }
+  return { distribution: 'Scattered', distributionDescription: 'Spread across the frame as noise' };
+}
+
+/**
+ * Compute spatial statistics for each palette color
+ * Positions and extents are expressed as 0-100 percentages of the frame.
+ * Compactness is the isoperimetric quotient 4πA/P² rescaled by its pixel-grid
+ * ceiling of π/4 (1 = square, about 0.79 = disc, near 0 = confetti).
+ * @param {Object} labels - Label map { data, width, height }
+ * @param {Object[]} colors - Palette colors with id
+ * @returns {Object} Map of color id to spatial statistics
+ */
+export function analyzeSpatialCoherence(labels, colors) {
+  const { data, width, height } = labels;
+  const stats = {};
+
+  colors.forEach(color => {
+    stats[color.id] = {
+      area: 0,
+      perimeter: 0,
+      sumX: 0,
+      sumY: 0,
+      minX: width,
+      minY: height,
+      maxX: -1,
+      maxY: -1
+    };
+  });
+
+  // Accumulate area, centroid, bounds and boundary length in one pass
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      const s = stats[data[idx]];
+      if (!s) continue;
+
+      s.area++;
+      s.sumX += x;
+      s.sumY += y;
+      if (x < s.minX) s.minX = x;
+      if (x > s.maxX) s.maxX = x;
+      if (y < s.minY) s.minY = y;
+      if (y > s.maxY) s.maxY = y;
+
+      const label = data[idx];
+      if (x === 0 || data[idx - 1] !== label) s.perimeter++;
+      if (x === width - 1 || data[idx + 1] !== label) s.perimeter++;
+      if (y === 0 || data[idx - width] !== label) s.perimeter++;
+      if (y === height - 1 || data[idx + width] !== label) s.perimeter++;
+    }
+  }
+
+  const minRegionSize = Math.max(4, Math.round(width * height * MIN_REGION_SHARE));
+  const result = {};
+
+  colors.forEach(color => {
+    const s = stats[color.id];
+    if (s.area === 0) {
+      result[color.id] = null;
+      return;
+    }
+
+    const regions = findRegions(data, width, height, color.id);
+    const significant = regions.filter(size => size >= minRegionSize);
+    const largestRegion = regions.reduce((max, size) => (size > max ? size : max), 0);
+    const largestRegionShare = largestRegion / s.area;
+    const quotient = (4 * Math.PI * s.area) / (s.perimeter * s.perimeter);
+    const compactness = Math.min(1, quotient / PIXEL_COMPACTNESS_MAX);
+
+    result[color.id] = {
+      centroid: {
+        x: (s.sumX / s.area / width) * 100,
+        y: (s.sumY / s.area / height) * 100
+      },
+      boundingBox: {
+        x: (s.minX / width) * 100,
+        y: (s.minY / height) * 100,
+        width: ((s.maxX - s.minX + 1) / width) * 100,
+        height: ((s.maxY - s.minY + 1) / height) * 100
+      },
+      regionCount: significant.length,
+      fragmentCount: regions.length - significant.length,
+      largestRegionShare,
+      compactness,
+      ...classifyDistribution(largestRegionShare)
+    };
+  });
+
+  return result;
+}
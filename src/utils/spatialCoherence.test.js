@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeSpatialCoherence } from './spatialCoherence';
+
+const SIZE = 40;
+
+/**
+ * Build a label map with color 1 wherever `inside` holds and color 0 elsewhere
+ */
+function labelMap(inside) {
+  const data = new Uint8Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      data[y * SIZE + x] = inside(x, y) ? 1 : 0;
+    }
+  }
+  return { data, width: SIZE, height: SIZE };
+}
+
+const COLORS = [{ id: 0 }, { id: 1 }];
+
+describe('analyzeSpatialCoherence', () => {
+  it('rates a square at full compactness', () => {
+    const labels = labelMap((x, y) => x >= 10 && x < 30 && y >= 10 && y < 30);
+    const { 1: square } = analyzeSpatialCoherence(labels, COLORS);
+    expect(square.compactness).toBeCloseTo(1);
+  });
+
+  it('rates a disc near π/4 of the square', () => {
+    const labels = labelMap((x, y) => Math.hypot(x - 19.5, y - 19.5) < 12);
+    const { 1: disc } = analyzeSpatialCoherence(labels, COLORS);
+    expect(disc.compactness).toBeGreaterThan(0.7);
+    expect(disc.compactness).toBeLessThan(0.85);
+  });
+
+  it('rates a thin line far below a disc', () => {
+    const labels = labelMap((x, y) => y === 20 && x >= 5 && x < 35);
+    const { 1: line } = analyzeSpatialCoherence(labels, COLORS);
+    expect(line.compactness).toBeLessThan(0.2);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Video Scopes
+ * Broadcast-style measurements of a decoded frame: the luma waveform, the
+ * RGB parade and the vectorscope. Chroma is plotted with Cb on the
+ * horizontal axis and Cr on the vertical, using the Rec. 709 encoding so
+ * the color targets match an HD scope.
+ */
+
+// Rec. 709 luma coefficients
+const LUMA_R = 0.2126;
+const LUMA_G = 0.7152;
+const LUMA_B = 0.0722;
+
+// Resolution of the vectorscope density grid
+export const VECTORSCOPE_SIZE = 128;
+
+// Angle of the skin-tone (I) line, counter-clockwise from the +Cb axis
+export const SKIN_TONE_LINE_ANGLE = 123;
+
+/**
+ * Convert RGB to Rec. 709 Y'CbCr
+ * @param {number[]} rgb - [r, g, b] with 0-255 channels
+ * @returns {number[]} [y, cb, cr] with y in 0-1 and cb, cr in -0.5-0.5
+ */
+export function rgbToYCbCr([r, g, b]) {
+  const y = (LUMA_R * r + LUMA_G * g + LUMA_B * b) / 255;
+  const cb = (b / 255 - y) / (2 * (1 - LUMA_B));
+  const cr = (r / 255 - y) / (2 * (1 - LUMA_R));
+  return [y, cb, cr];
+}
+
+/**
+ * Get the vectorscope angle and magnitude of a chroma pair
+ * @param {number} cb - Blue-difference chroma (-0.5-0.5)
+ * @param {number} cr - Red-difference chroma (-0.5-0.5)
+ * @returns {Object} { angle, magnitude } with angle in degrees counter-clockwise from +Cb
+ */
+export function getVectorscopePosition(cb, cr) {
+  const angle = ((Math.atan2(cr, cb) * 180) / Math.PI + 360) % 360;
+  return { angle, magnitude: Math.hypot(cb, cr) };
+}
+
+/**
+ * Vectorscope targets for the 75% color bars
+ */
+export const VECTORSCOPE_TARGETS = [
+  { label: 'R', rgb: [191, 0, 0] },
+  { label: 'Mg', rgb: [191, 0, 191] },
+  { label: 'B', rgb: [0, 0, 191] },
+  { label: 'Cy', rgb: [0, 191, 191] },
+  { label: 'G', rgb: [0, 191, 0] },
+  { label: 'Yl', rgb: [191, 191, 0] }
+].map(target => {
+  const [, cb, cr] = rgbToYCbCr(target.rgb);
+  return { ...target, cb, cr };
+});
+
+/**
+ * Map a chroma pair to a cell of the vectorscope grid
+ * +Cr points up, so rows count down from the top.
+ * @param {number} cb - Blue-difference chroma
+ * @param {number} cr - Red-difference chroma
+ * @param {number} size - Grid resolution
+ * @returns {number} Cell index
+ */
+function vectorscopeCell(cb, cr, size) {
+  const x = Math.min(size - 1, Math.max(0, Math.floor((cb + 0.5) * size)));
+  const y = Math.min(size - 1, Math.max(0, Math.floor((0.5 - cr) * size)));
+  return y * size + x;
+}
+
+/**
+ * Build a vectorscope density plot of a frame
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {Uint8Array|null} highlightMask - Optional per-pixel mask counted into a second plot
+ * @param {number} size - Grid resolution
+ * @returns {Object} { size, density, highlight, maxDensity, maxHighlight }
+ */
+export function buildVectorscope(buffer, highlightMask = null, size = VECTORSCOPE_SIZE) {
+  const { data } = buffer;
+  const density = new Uint32Array(size * size);
+  const highlight = highlightMask ? new Uint32Array(size * size) : null;
+  let maxDensity = 0;
+  let maxHighlight = 0;
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+
+    const [, cb, cr] = rgbToYCbCr([data[i], data[i + 1], data[i + 2]]);
+    const cell = vectorscopeCell(cb, cr, size);
+    density[cell]++;
+    if (density[cell] > maxDensity) maxDensity = density[cell];
+
+    if (highlight && highlightMask[idx]) {
+      highlight[cell]++;
+      if (highlight[cell] > maxHighlight) maxHighlight = highlight[cell];
+    }
+  }
+
+  return { size, density, highlight, maxDensity, maxHighlight };
+}
+
+// Horizontal resolution of the waveform and parade plots
+export const WAVEFORM_COLUMNS = 160;
+
+// Vertical resolution of the waveform and parade plots (0-100 IRE)
+export const WAVEFORM_LEVELS = 128;
+
+/**
+ * Build the luma waveform and RGB parade of a frame
+ * Each plot counts pixels by image column (x) and signal level (y), with
+ * full-range 0-255 mapped to 0-100 IRE. Row 0 is the top, i.e. 100 IRE.
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {number} columns - Horizontal resolution
+ * @param {number} levels - Vertical resolution
+ * @returns {Object} { columns, levels, luma, red, green, blue, maxLuma, maxChannel, lumaRange }
+ *   where lumaRange is the { min, max } luma in IRE
+ */
+export function buildWaveforms(buffer, columns = WAVEFORM_COLUMNS, levels = WAVEFORM_LEVELS) {
+  const { data, width } = buffer;
+  const cells = columns * levels;
+  const luma = new Uint32Array(cells);
+  const channels = [new Uint32Array(cells), new Uint32Array(cells), new Uint32Array(cells)];
+  let maxLuma = 0;
+  let maxChannel = 0;
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  const levelRow = (value) => levels - 1 - Math.min(levels - 1, Math.floor((value / 256) * levels));
+
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+
+    const column = Math.floor(((idx % width) / width) * columns);
+    const y = LUMA_R * data[i] + LUMA_G * data[i + 1] + LUMA_B * data[i + 2];
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+    const lumaCell = levelRow(y) * columns + column;
+    luma[lumaCell]++;
+    if (luma[lumaCell] > maxLuma) maxLuma = luma[lumaCell];
+
+    for (let ch = 0; ch < 3; ch++) {
+      const cell = levelRow(data[i + ch]) * columns + column;
+      channels[ch][cell]++;
+      if (channels[ch][cell] > maxChannel) maxChannel = channels[ch][cell];
+    }
+  }
+
+  return {
+    columns,
+    levels,
+    luma,
+    red: channels[0],
+    green: channels[1],
+    blue: channels[2],
+    maxLuma,
+    maxChannel,
+    lumaRange: minY <= maxY
+      ? { min: (minY / 255) * 100, max: (maxY / 255) * 100 }
+      : { min: 0, max: 0 }
+  };
+}
@@ -2,22 +2,189 @@
  * Zone System Analysis
  * Based on Ansel Adams' Zone System for exposure and tonal range
  * Zones 0-X (0 = pure black, V = middle gray, X = pure white)
+ * Pixels are linearized through the frame's transfer function and measured
+ * in stops from 18% gray, which anchors Zone V. Below Zone V each zone is
+ * one stop, so Zone 0 starts 4.5 stops down. Above it, the zones split the
+ * stops between middle gray and the transfer function's display white evenly,
+ * so that white (code 255 in SDR, the mastering peak in HDR) starts Zone X.
+ * SDR white is only ~2.5 stops over middle gray, so its upper zones are
+ * about half a stop wide, as on a print.
  */
 
+import { srgbToLinear } from './colorUtils';
+
+export const DEFAULT_TRANSFER_FUNCTION = 'srgb';
+
+// Zone map value for transparent pixels that were not measured
+export const UNMAPPED_ZONE = 255;
+
+// Linear luminance of Zone V (18% gray card)
+const MIDDLE_GRAY = 0.18;
+
+// Zones from Zone V to the edge of Zone 0 or Zone X
+const HALF_SCALE = 4.5;
+
+// Luminance floor for stop measurements, the middle of Zone 0
+const BLACK_FLOOR = MIDDLE_GRAY * Math.pow(2, -5);
+
+// Luma weights by color primaries
+const REC709_LUMA = [0.2126, 0.7152, 0.0722];
+const REC2020_LUMA = [0.2627, 0.678, 0.0593];
+
+// SMPTE ST 2084 (PQ) constants
+const PQ_M1 = 2610 / 16384;
+const PQ_M2 = (2523 / 4096) * 128;
+const PQ_C1 = 3424 / 4096;
+const PQ_C2 = (2413 / 4096) * 32;
+const PQ_C3 = (2392 / 4096) * 32;
+
+// Absolute peak of the PQ signal in cd/m²
+const PQ_PEAK = 10000;
+
+// HDR reference (diffuse) white in cd/m², per ITU-R BT.2408
+const HDR_REFERENCE_WHITE = 203;
+
+// Mastering peak in cd/m² treated as display white for PQ frames
+const PQ_DISPLAY_WHITE = 1000;
+
+// ARIB STD-B67 (HLG) constants
+const HLG_A = 0.17883277;
+const HLG_B = 1 - 4 * HLG_A;
+const HLG_C = 0.5 - HLG_A * Math.log(4 * HLG_A);
+
 /**
- * Calculate luminance from RGB (relative luminance per ITU-R BT.709)
+ * Inverse HLG OETF
+ * @param {number} v - Signal (0-1)
+ * @returns {number} Scene-linear light (0-1)
  */
-function getLuminance([r, g, b]) {
-  return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+function hlgToLinear(v) {
+  return v <= 0.5 ? (v * v) / 3 : (Math.exp((v - HLG_C) / HLG_A) + HLG_B) / 12;
 }
 
+// Scene light of HLG reference white (75% signal)
+const HLG_REFERENCE_WHITE = hlgToLinear(0.75);
+
 /**
- * Map luminance to zone (0-10)
+ * Display transfer functions a frame can be decoded with
+ * Each maps an 8-bit code value to linear light where 1.0 is reference
+ * (diffuse) white, so SDR and HDR frames share one stop scale, and sets
+ * the display white (same units) that starts Zone X. Browsers
+ * hand HDR stills to the canvas as their raw signal values, so PQ and HLG
+ * frames must be decoded here rather than as sRGB.
  */
-function luminanceToZone(luminance) {
-  // Zone system divides tonal range into 11 zones (0-X)
-  // Each zone represents approximately 1 stop of exposure
-  return Math.round(luminance * 10);
+export const TRANSFER_FUNCTIONS = {
+  srgb: {
+    name: 'sRGB',
+    description: 'Standard web and still images',
+    luma: REC709_LUMA,
+    toLinear: (v) => srgbToLinear(v * 255),
+    white: 1
+  },
+  rec709: {
+    name: 'Rec.709',
+    description: 'HD video (inverse BT.709 OETF)',
+    luma: REC709_LUMA,
+    toLinear: (v) => (v < 0.081 ? v / 4.5 : Math.pow((v + 0.099) / 1.099, 1 / 0.45)),
+    white: 1
+  },
+  pq: {
+    name: 'PQ',
+    description: 'Rec.2100 HDR, absolute luminance (ST 2084)',
+    luma: REC2020_LUMA,
+    toLinear: (v) => {
+      const p = Math.pow(v, 1 / PQ_M2);
+      const nits = PQ_PEAK * Math.pow(Math.max(p - PQ_C1, 0) / (PQ_C2 - PQ_C3 * p), 1 / PQ_M1);
+      return nits / HDR_REFERENCE_WHITE;
+    },
+    white: PQ_DISPLAY_WHITE / HDR_REFERENCE_WHITE
+  },
+  hlg: {
+    name: 'HLG',
+    description: 'Rec.2100 HDR, relative scene light (ARIB STD-B67)',
+    luma: REC2020_LUMA,
+    toLinear: (v) => hlgToLinear(v) / HLG_REFERENCE_WHITE,
+    // Nominal peak signal
+    white: hlgToLinear(1) / HLG_REFERENCE_WHITE
+  }
+};
+
+/**
+ * Resolve a transfer function id
+ * @param {string} id - Transfer function id
+ * @returns {Object} Transfer function
+ */
+export function resolveTransferFunction(id = DEFAULT_TRANSFER_FUNCTION) {
+  if (!TRANSFER_FUNCTIONS[id]) {
+    throw new Error(`Unknown transfer function: ${id}`);
+  }
+  return TRANSFER_FUNCTIONS[id];
+}
+
+/**
+ * Build a lookup table from 8-bit code value to linear light
+ * @param {Object} transfer - Transfer function
+ * @returns {Float64Array} 256 linear values
+ */
+function buildLinearTable(transfer) {
+  const table = new Float64Array(256);
+  for (let code = 0; code < 256; code++) {
+    table[code] = transfer.toLinear(code / 255);
+  }
+  return table;
+}
+
+/**
+ * Convert linear luminance to stops relative to middle gray
+ * @param {number} luminance - Linear luminance (1.0 = reference white)
+ * @returns {number} Stops above (+) or below (-) Zone V
+ */
+export function luminanceToStops(luminance) {
+  return Math.log2(Math.max(luminance, BLACK_FLOOR) / MIDDLE_GRAY);
+}
+
+/**
+ * Zones per stop above Zone V for a transfer function
+ * @param {Object} transfer - Transfer function
+ * @returns {number} Scale that puts display white at the start of Zone X
+ */
+function highlightScale(transfer) {
+  return HALF_SCALE / luminanceToStops(transfer.white);
+}
+
+/**
+ * Place stops on the zone scale
+ * @param {number} stops - Stops from middle gray
+ * @param {number} scale - Zones per stop above Zone V
+ * @returns {number} Zone 0-10
+ */
+function placeZone(stops, scale) {
+  const position = stops > 0 ? stops * scale : stops;
+  return Math.max(0, Math.min(10, Math.round(5 + position)));
+}
+
+/**
+ * Map stops from middle gray to a zone (0-10)
+ * Zone V is centered on 18% gray. Below it each zone is a stop and
+ * everything 4.5 stops down is Zone 0; above it display white starts Zone X.
+ * @param {number} stops - Stops from middle gray
+ * @param {string} transferFunction - Transfer function id, which sets display white
+ * @returns {number} Zone 0-10
+ */
+export function stopsToZone(stops, transferFunction = DEFAULT_TRANSFER_FUNCTION) {
+  return placeZone(stops, highlightScale(resolveTransferFunction(transferFunction)));
+}
+
+/**
+ * Stops from middle gray at the center of a zone
+ * @param {number} zone - Zone 0-10
+ * @param {string} transferFunction - Transfer function id, which sets display white
+ * @returns {number} Stops from middle gray
+ */
+export function zoneToStops(zone, transferFunction = DEFAULT_TRANSFER_FUNCTION) {
+  const position = zone - 5;
+  return position > 0
+    ? position / highlightScale(resolveTransferFunction(transferFunction))
+    : position;
 }
 
 /**
@@ -37,115 +204,113 @@ const ZONE_INFO = {
   10: { name: 'Zone X', description: 'Pure white, no texture', type: 'highlight' }
 };
 
+// Share of pixels (percent) trimmed from each end when measuring dynamic range
+const SIGNIFICANT_TAIL = 2;
+
+// Dynamic range (stops) at or above which a frame reads as full range
+const FULL_RANGE_STOPS = 6;
+
+// Dynamic range (stops) at or below which a frame reads as compressed
+const COMPRESSED_STOPS = 3;
+
 /**
- * Analyze image for zone system distribution
- * @param {string} imageSrc - Image source URL
- * @returns {Promise<Object>} Zone analysis results
+ * Analyze a decoded frame for zone system distribution
+ * @param {Object} buffer - Pixel buffer { data, width, height }
+ * @param {string} transferFunction - Transfer function id the frame is encoded with
+ * @returns {Object} Zone analysis results, including the per-pixel zone map
  */
-export async function analyzeZoneSystem(imageSrc) {
-  return new Promise((resolve, reject) => {
-    const image = new Image();
-    image.crossOrigin = 'Anonymous';
-
-    image.onload = () => {
-      try {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        // Scale down for performance
-        const maxDim = 400;
-        let width = image.naturalWidth;
-        let height = image.naturalHeight;
-        const scale = Math.min(maxDim / width, maxDim / height, 1);
-        width = Math.floor(width * scale);
-        height = Math.floor(height * scale);
-
-        canvas.width = width;
-        canvas.height = height;
-        ctx.drawImage(image, 0, 0, width, height);
-
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const zoneCounts = new Array(11).fill(0);
-        let totalPixels = 0;
-
-        // Sample every 4th pixel
-        for (let i = 0; i < imageData.data.length; i += 16) {
-          const r = imageData.data[i];
-          const g = imageData.data[i + 1];
-          const b = imageData.data[i + 2];
-          const a = imageData.data[i + 3];
-
-          if (a > 128) {
-            const luminance = getLuminance([r, g, b]);
-            const zone = luminanceToZone(luminance);
-            zoneCounts[zone]++;
-            totalPixels++;
-          }
-        }
-
-        // Calculate percentages and find dominant zones
-        const zoneData = zoneCounts.map((count, zone) => ({
-          zone,
-          ...ZONE_INFO[zone],
-          count,
-          percentage: totalPixels > 0 ? (count / totalPixels) * 100 : 0
-        }));
-
-        // Calculate tonal range metrics
-        const shadowZones = zoneData.slice(0, 4).reduce((sum, z) => sum + z.percentage, 0);
-        const midtoneZones = zoneData.slice(4, 7).reduce((sum, z) => sum + z.percentage, 0);
-        const highlightZones = zoneData.slice(7, 11).reduce((sum, z) => sum + z.percentage, 0);
-
-        // Find peak zone (most common)
-        const peakZone = zoneData.reduce((max, z) => z.percentage > max.percentage ? z : max, zoneData[0]);
-
-        // Calculate dynamic range (difference between lightest and darkest significant zones)
-        const significantThreshold = 2; // 2% threshold
-        const significantZones = zoneData.filter(z => z.percentage >= significantThreshold);
-        const darkestZone = Math.min(...significantZones.map(z => z.zone));
-        const lightestZone = Math.max(...significantZones.map(z => z.zone));
-        const dynamicRange = lightestZone - darkestZone;
-
-        // Determine tonal character
-        let character, characterDescription;
-        if (shadowZones > 50) {
-          character = 'Low Key';
-          characterDescription = 'Shadow-dominant, dramatic mood';
-        } else if (highlightZones > 50) {
-          character = 'High Key';
-          characterDescription = 'Highlight-dominant, bright and airy';
-        } else if (midtoneZones > 50) {
-          character = 'Middle Key';
-          characterDescription = 'Balanced midtones, natural feel';
-        } else if (dynamicRange >= 8) {
-          character = 'Full Range';
-          characterDescription = 'Wide tonal range, high contrast';
-        } else if (dynamicRange <= 4) {
-          character = 'Compressed';
-          characterDescription = 'Narrow tonal range, flat look';
-        } else {
-          character = 'Balanced';
-          characterDescription = 'Even distribution across zones';
-        }
-
-        resolve({
-          zones: zoneData,
-          peakZone,
-          dynamicRange,
-          shadowPercentage: shadowZones,
-          midtonePercentage: midtoneZones,
-          highlightPercentage: highlightZones,
-          character,
-          characterDescription,
-          darkestSignificant: darkestZone,
-          lightestSignificant: lightestZone
-        });
-      } catch (error) {
-        reject(error);
-      }
-    };
-
-    image.onerror = () => reject(new Error('Failed to load image'));
-    image.src = imageSrc;
-  });
+export function analyzeZoneSystem(buffer, transferFunction = DEFAULT_TRANSFER_FUNCTION) {
+  const { data, width, height } = buffer;
+  const transfer = resolveTransferFunction(transferFunction);
+  const linear = buildLinearTable(transfer);
+  const [kr, kg, kb] = transfer.luma;
+  const scale = highlightScale(transfer);
+  const zoneCounts = new Array(11).fill(0);
+  const zoneMap = new Uint8Array(width * height).fill(UNMAPPED_ZONE);
+  const samples = [];
+  let totalPixels = 0;
+
+  // Map every pixel, but sample every 4th pixel for the statistics
+  for (let i = 0, idx = 0; i < data.length; i += 4, idx++) {
+    if (data[i + 3] <= 128) continue;
+
+    const luminance = kr * linear[data[i]] + kg * linear[data[i + 1]] + kb * linear[data[i + 2]];
+    const stops = luminanceToStops(luminance);
+    const zone = placeZone(stops, scale);
+    zoneMap[idx] = zone;
+
+    if (idx % 4 === 0) {
+      zoneCounts[zone]++;
+      samples.push(stops);
+      totalPixels++;
+    }
+  }
+
+  // Calculate percentages and find dominant zones
+  const zoneData = zoneCounts.map((count, zone) => ({
+    zone,
+    ...ZONE_INFO[zone],
+    stops: zoneToStops(zone, transferFunction),
+    count,
+    percentage: totalPixels > 0 ? (count / totalPixels) * 100 : 0
+  }));
+
+  // Calculate tonal range metrics
+  const shadowZones = zoneData.slice(0, 4).reduce((sum, z) => sum + z.percentage, 0);
+  const midtoneZones = zoneData.slice(4, 7).reduce((sum, z) => sum + z.percentage, 0);
+  const highlightZones = zoneData.slice(7, 11).reduce((sum, z) => sum + z.percentage, 0);
+
+  // Find peak zone (most common)
+  const peakZone = zoneData.reduce((max, z) => z.percentage > max.percentage ? z : max, zoneData[0]);
+
+  // Dynamic range in stops between the darkest and lightest significant tones
+  samples.sort((a, b) => a - b);
+  const percentile = (pct) => samples.length > 0
+    ? samples[Math.min(samples.length - 1, Math.floor((pct / 100) * samples.length))]
+    : 0;
+  const stopRange = {
+    low: percentile(SIGNIFICANT_TAIL),
+    high: percentile(100 - SIGNIFICANT_TAIL)
+  };
+  const dynamicRange = stopRange.high - stopRange.low;
+  const darkestZone = placeZone(stopRange.low, scale);
+  const lightestZone = placeZone(stopRange.high, scale);
+
+  // Determine tonal character
+  let character, characterDescription;
+  if (shadowZones > 50) {
+    character = 'Low Key';
+    characterDescription = 'Shadow-dominant, dramatic mood';
+  } else if (highlightZones > 50) {
+    character = 'High Key';
+    characterDescription = 'Highlight-dominant, bright and airy';
+  } else if (midtoneZones > 50) {
+    character = 'Middle Key';
+    characterDescription = 'Balanced midtones, natural feel';
+  } else if (dynamicRange >= FULL_RANGE_STOPS) {
+    character = 'Full Range';
+    characterDescription = 'Wide tonal range, high contrast';
+  } else if (dynamicRange <= COMPRESSED_STOPS) {
+    character = 'Compressed';
+    characterDescription = 'Narrow tonal range, flat look';
+  } else {
+    character = 'Balanced';
+    characterDescription = 'Even distribution across zones';
+  }
+
+  return {
+    zones: zoneData,
+    peakZone,
+    dynamicRange,
+    stopRange,
+    transferFunction,
+    zoneMap: { data: zoneMap, width, height },
+    shadowPercentage: shadowZones,
+    midtonePercentage: midtoneZones,
+    highlightPercentage: highlightZones,
+    character,
+    characterDescription,
+    darkestSignificant: darkestZone,
+    lightestSignificant: lightestZone
+  };
 }
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeZoneSystem, stopsToZone, luminanceToStops, TRANSFER_FUNCTIONS } from './zoneSystem';
+
+/**
+ * Build a one-row gray ramp buffer from a list of code values
+ */
+function grayRamp(codes) {
+  const data = new Uint8ClampedArray(codes.length * 4);
+  codes.forEach((code, i) => {
+    data.set([code, code, code, 255], i * 4);
+  });
+  return { data, width: codes.length, height: 1 };
+}
+
+describe('zone scale', () => {
+  it('places display white in Zone X for every transfer function', () => {
+    Object.entries(TRANSFER_FUNCTIONS).forEach(([id, transfer]) => {
+      expect(stopsToZone(luminanceToStops(transfer.white), id)).toBe(10);
+    });
+  });
+
+  it('keeps 18% gray in Zone V', () => {
+    expect(stopsToZone(luminanceToStops(0.18))).toBe(5);
+  });
+
+  it('reaches every upper zone on an sRGB gray ramp', () => {
+    const codes = Array.from({ length: 256 }, (_, code) => code);
+    const { zoneMap } = analyzeZoneSystem(grayRamp(codes));
+    const zones = new Set(zoneMap.data);
+    [7, 8, 9, 10].forEach(zone => expect(zones.has(zone)).toBe(true));
+    expect(zoneMap.data[255]).toBe(10);
+    expect(zoneMap.data[190]).toBeLessThan(10);
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Analysis Worker
+ * Runs the analysis pipeline off the main thread
+ */
+
+import { runAnalysis, runAlgorithmComparison } from '../utils/analysisPipeline';
+
+self.onmessage = async (event) => {
+  const { task, imageSrc, options, frame } = event.data;
+
+  try {
+    const result = task === 'compare'
+      ? runAlgorithmComparison(frame)
+      : await runAnalysis(imageSrc, options, (progress) => {
+        self.postMessage({ type: 'progress', progress });
+      });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};